@@ -0,0 +1,177 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/answer.js – Respuesta estructurada del modelo
+ * El modelo devuelve un objeto JSON (ANSWER_FORMAT):
+ *   { intencion, cursos: [ids], link_inscripcion: id | null, respuesta }
+ * - parseAnswer(): JSON → respuesta con los cursos del catálogo. Si el
+ *   modelo no respetó el formato (texto/HTML), se toma el texto tal cual
+ *   y los cursos se deducen de los títulos y links que aparecen.
+ * - verifyAnswer(): cada URL y fecha del texto se contrasta con la ficha
+ *   de los cursos referenciados (o con el prompt, para campañas). Un
+ *   formulario equivocado se cambia por el del curso; otra URL que no
+ *   coincide se quita y una fecha pasa a "(sin fecha confirmada)". El link
+ *   de inscripción solo vale para cursos con inscripción abierta.
+ * - renderWhatsApp(): formato final (negritas, sin HTML) + línea del link.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize, meses } = require("./cursos");
+const { OPEN_STATES } = require("./waitlist");
+
+const INTENCIONES = ["recomendacion", "info_curso", "inscripcion", "listado", "otra"];
+const DATE_FIELDS = ["fecha_inicio", "fecha_fin", "inscripcion_inicio", "inscripcion_fin"];
+const SIN_FECHA = "(sin fecha confirmada)";
+const FORM_RE = /^https?:\/\/(?:docs\.google\.com\/forms|forms\.gle)\//i;
+
+const ANSWER_FORMAT = [
+  "FORMATO DE SALIDA (obligatorio): respondé solo con un objeto JSON, sin texto antes ni después:",
+  "{",
+  `  "intencion": uno de ${INTENCIONES.map((i) => `"${i}"`).join(", ")},`,
+  "  \"cursos\": [ids de los cursos que mencionás en la respuesta, tal como figuran en los datos de cursos],",
+  "  \"link_inscripcion\": id del curso cuyo link de inscripción corresponde enviar (solo inscripcion_abierta o ultimos_cupos) o null,",
+  "  \"respuesta\": \"texto para el usuario: negrita con *un asterisco*, sin HTML, sin links en markdown y sin escribir la URL del formulario (se agrega sola a partir de link_inscripcion)\"",
+  "}"
+].join("\n");
+
+/*──── Parseo ────*/
+const URL_RE = /https?:\/\/[^\s<>"'()\]]+/g;
+const trimUrl = (url) => url.replace(/[.,;:!?*]+$/, "");
+const urlsIn = (text) => (String(text || "").match(URL_RE) || []).map(trimUrl);
+
+// Primer objeto JSON del texto (tolera ```json … ``` y texto alrededor)
+const extractJson = (raw) => {
+  const text = String(raw || "").replace(/```(?:json)?/gi, "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    const value = JSON.parse(text.slice(start, end + 1));
+    return value && typeof value === "object" && !Array.isArray(value) ? value : null;
+  } catch (_e) {
+    return null;
+  }
+};
+
+// → { intencion, cursos: [curso], link: curso | null, respuesta, formato: "json" | "texto" }
+const parseAnswer = (raw, cursos = []) => {
+  const byId = new Map(cursos.map((c) => [String(c.id), c]));
+  const data = extractJson(raw);
+
+  if (data && typeof data.respuesta === "string") {
+    const ids = Array.isArray(data.cursos) ? data.cursos : [];
+    const referenced = [...new Set(ids.map(String))].map((id) => byId.get(id)).filter(Boolean);
+    const link = data.link_inscripcion === null || data.link_inscripcion === undefined
+      ? null
+      : byId.get(String(data.link_inscripcion)) || null;
+    if (link && !referenced.includes(link)) referenced.unshift(link);
+    return {
+      intencion: INTENCIONES.includes(data.intencion) ? data.intencion : "otra",
+      cursos: referenced,
+      link,
+      respuesta: data.respuesta.trim(),
+      formato: "json"
+    };
+  }
+
+  // Texto libre: cursos por formulario citado o por título mencionado
+  const respuesta = String(raw || "").trim();
+  const urls = urlsIn(respuesta);
+  const conLink = cursos.find((c) => c.formulario && urls.includes(c.formulario)) || null;
+  const texto = normalize(respuesta);
+  const citados = cursos
+    .filter((c) => c.titulo && texto.includes(normalize(c.titulo)))
+    .sort((a, b) => b.titulo.length - a.titulo.length);
+  const referenced = [...new Set([conLink, ...citados].filter(Boolean))];
+  return { intencion: "otra", cursos: referenced, link: conLink, respuesta, formato: "texto" };
+};
+
+/*──── Verificación ────*/
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const MESES_RE = meses.join("|");
+const DATE_RES = [
+  // 03/11/2026 (formato del prompt; sin año podría ser una fracción)
+  { re: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: (m) => ({ d: +m[1], mo: +m[2], y: +m[3] }) },
+  // 3 de noviembre (de 2026)
+  { re: new RegExp(`\\b(\\d{1,2}) de (${MESES_RE})(?: de (\\d{4}))?\\b`, "gi"), parts: (m) => ({ d: +m[1], mo: meses.indexOf(m[2].toLowerCase()) + 1, y: m[3] ? +m[3] : null }) },
+  // 2026-11-03
+  { re: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: (m) => ({ d: +m[3], mo: +m[2], y: +m[1] }) }
+];
+
+const datesIn = (text) => DATE_RES.flatMap(({ re, parts }) =>
+  [...String(text || "").matchAll(re)].map((m) => ({ text: m[0], ...parts(m) })));
+
+const sameDate = (a, b) => a.d === b.d && a.mo === b.mo && (a.y === null || b.y === null || a.y === b.y);
+
+// allowedText: texto de confianza (prompt del sistema) con URLs y fechas válidas
+const verifyAnswer = (answer, { allowedText = "" } = {}) => {
+  const correcciones = [];
+  let link = answer.link;
+  let texto = answer.respuesta;
+
+  if (link && !(OPEN_STATES.has(link.estado) && link.formulario)) {
+    correcciones.push(`link_inscripcion: "${link.titulo}" no tiene inscripción abierta (${link.estado})`);
+    link = null;
+  }
+
+  // URLs: formularios de cursos abiertos, archivos de los cursos citados o las del prompt
+  const openForms = new Map(answer.cursos.filter((c) => OPEN_STATES.has(c.estado) && c.formulario).map((c) => [c.formulario, c]));
+  const allowedUrls = new Set([
+    ...answer.cursos.map((c) => c.imagen).filter(Boolean),
+    ...urlsIn(allowedText)
+  ]);
+  for (const url of new Set(urlsIn(texto))) {
+    if (openForms.has(url)) {
+      link = link || openForms.get(url);
+      continue;
+    }
+    if (allowedUrls.has(url)) continue;
+    correcciones.push(`URL no verificada: ${url}`);
+    texto = link && FORM_RE.test(url)
+      ? texto.replace(new RegExp(escapeRe(url), "g"), link.formulario)
+      : texto.replace(new RegExp(`\\s*:?\\s*${escapeRe(url)}`, "g"), "");
+  }
+
+  // Fechas: las de la ficha de los cursos citados o las del prompt
+  const allowedDates = [
+    ...answer.cursos.flatMap((c) => DATE_FIELDS.map((f) => c[f]).filter(Boolean).flatMap(datesIn)),
+    ...datesIn(allowedText)
+  ];
+  for (const date of datesIn(texto)) {
+    if (allowedDates.some((ok) => sameDate(date, ok))) continue;
+    correcciones.push(`fecha no verificada: ${date.text}`);
+    texto = texto.replace(new RegExp(`(?:\\b(?:el|del)\\s+)?${escapeRe(date.text)}`), SIN_FECHA);
+  }
+
+  return { answer: { ...answer, link, respuesta: texto }, correcciones };
+};
+
+/*──── Render para WhatsApp ────*/
+// Negritas/links/HTML → texto plano de WhatsApp
+const toWhatsApp = (text) =>
+  String(text || "")
+    .replace(/\*\*(\d{1,2}\s+de\s+\p{L}+)\*\*/giu, "$1")
+    .replace(/\*\*(.+?)\*\*/g, "*$1*") // **texto** → *texto*
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g, "$1: $2") // markdown link → "txt: url"
+    .replace(/<a\s+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi, (_m2, url, txt) => `${txt}: ${url}`) // <a> → "txt: url"
+    .replace(/<strong>([^<]+)<\/strong>/gi, "*$1*")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/?[^>]+>/g, "") // quitar HTML restante
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// linkLine(curso) → línea con el formulario (plantilla link_formulario)
+const renderWhatsApp = (answer, { linkLine = (c) => `Formulario de inscripción: ${c.formulario}` } = {}) => {
+  const texto = toWhatsApp(answer.respuesta);
+  if (!answer.link || texto.includes(answer.link.formulario)) return texto;
+  return `${texto}\n\n${linkLine(answer.link)}`.trim();
+};
+
+module.exports = {
+  ANSWER_FORMAT,
+  INTENCIONES,
+  parseAnswer,
+  verifyAnswer,
+  renderWhatsApp,
+  toWhatsApp
+};
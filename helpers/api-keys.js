@@ -0,0 +1,137 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/api-keys.js – Claves para la API REST (/send-message, etc.)
+ * Claves en .env y/o en un archivo JSON:
+ *   API_KEYS=difusion:clave123:send|media:30,soporte:clave456:admin
+ *            (nombre:clave:scopes:pedidos por minuto, separados por coma)
+ *   API_KEYS_FILE=data/api-keys.json
+ *            [{ "name": "difusion", "key": "...", "scopes": ["send"], "rateLimit": 30 }]
+ * Scopes: send | media | groups | admin (admin habilita todo).
+ * ADMIN_TOKEN también vale como clave admin, sin límite.
+ * Se envía en "x-api-key" o "Authorization: Bearer <clave>".
+ * Cada llamada (aceptada o no) queda en el registro de auditoría (JSONL).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const fs     = require("fs");
+const path   = require("path");
+const { readJson } = require("./files");
+
+const SCOPES = ["send", "media", "groups", "admin"];
+const DEFAULT_RATE_LIMIT = 60; // pedidos por minuto
+const WINDOW_MS = 60 * 1000;
+
+const hash = (value) => crypto.createHash("sha256").update(String(value)).digest();
+const sameSecret = (a, b) => crypto.timingSafeEqual(hash(a), hash(b));
+
+const readApiKey = (req) => {
+  const header = req.get("authorization") || "";
+  if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, "").trim();
+  return req.get("x-api-key") || "";
+};
+
+// "nombre:clave:send|media:30,..." → [{ name, key, scopes, rateLimit }]
+const parseEnvKeys = (value) =>
+  String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, key, scopes = "send", limit] = entry.split(":").map((x) => x.trim());
+      return { name, key, scopes: scopes.split("|").filter(Boolean), rateLimit: Number(limit) || DEFAULT_RATE_LIMIT };
+    });
+
+const normalizeKey = (k) => {
+  const scopes = (Array.isArray(k.scopes) ? k.scopes : []).map(String).filter((s) => SCOPES.includes(s));
+  const rateLimit = Number(k.rateLimit);
+  return {
+    name: String(k.name || "").trim(),
+    key: String(k.key || ""),
+    scopes,
+    rateLimit: Number.isFinite(rateLimit) && rateLimit >= 0 ? rateLimit : DEFAULT_RATE_LIMIT
+  };
+};
+
+const createApiKeys = ({ env = process.env, dataDir, now = Date.now, logger = console } = {}) => {
+  const keysFile = env.API_KEYS_FILE || (dataDir ? path.join(dataDir, "api-keys.json") : null);
+  const auditFile = path.resolve(env.API_AUDIT_FILE || path.join(dataDir || ".", "audit.jsonl"));
+  const windows = new Map(); // nombre → { start, count }
+
+  let keys = parseEnvKeys(env.API_KEYS);
+  if (keysFile) {
+    try {
+      keys = keys.concat(readJson(path.resolve(keysFile), []));
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo leer ${path.basename(keysFile)}: ${e.message}`);
+    }
+  }
+  keys = keys.map(normalizeKey).filter((k) => k.name && k.key && k.scopes.length);
+  if (env.ADMIN_TOKEN) keys.push({ name: "admin", key: env.ADMIN_TOKEN, scopes: ["admin"], rateLimit: 0 });
+  if (!keys.length) logger.warn("⚠️  No hay claves de API (API_KEYS / API_KEYS_FILE): la API REST rechaza todo");
+
+  const audit = (entry) => {
+    const line = JSON.stringify({ ts: new Date(now()).toISOString(), ...entry }) + "\n";
+    fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+    fs.appendFile(auditFile, line, "utf-8", (err) => {
+      if (err) logger.warn(`⚠️  No se pudo guardar la auditoría: ${err.message}`);
+    });
+  };
+
+  const findKey = (secret) => (secret ? keys.find((k) => sameSecret(k.key, secret)) || null : null);
+
+  // Ventana fija de un minuto por clave → segundos a esperar, o 0
+  const retryAfter = (k) => {
+    if (!k.rateLimit) return 0;
+    const t = now();
+    const w = windows.get(k.name);
+    if (!w || t - w.start >= WINDOW_MS) {
+      windows.set(k.name, { start: t, count: 1 });
+      return 0;
+    }
+    if (w.count >= k.rateLimit) return Math.ceil((w.start + WINDOW_MS - t) / 1000);
+    w.count++;
+    return 0;
+  };
+
+  // Middleware: clave válida (401), con alguno de los scopes (403) y dentro del límite (429)
+  const requireScope = (...scopes) => (req, res, next) => {
+    const k = findKey(readApiKey(req));
+    const target = req.body && (req.body.number || req.body.id || req.body.name);
+
+    res.on("finish", () => audit({
+      key: k ? k.name : null,
+      scope: scopes.join("|"),
+      method: req.method,
+      path: req.originalUrl,
+      target: target ? String(target) : undefined,
+      status: res.statusCode,
+      ip: req.ip
+    }));
+
+    if (!k) {
+      return res.status(401).json({ status: false, message: "Unauthorized" });
+    }
+    if (!scopes.some((scope) => k.scopes.includes(scope)) && !k.scopes.includes("admin")) {
+      return res.status(403).json({ status: false, message: `Forbidden: the key needs the "${scopes.join("\" or \"")}" scope` });
+    }
+    const wait = retryAfter(k);
+    if (wait) {
+      res.set("Retry-After", String(wait));
+      return res.status(429).json({ status: false, message: `Too many requests, retry in ${wait}s` });
+    }
+    req.apiKey = k.name;
+    next();
+  };
+
+  // Sin las claves, para el panel
+  const list = () => keys.map(({ name, scopes, rateLimit }) => ({ name, scopes, rateLimit }));
+
+  return { requireScope, list, auditFile };
+};
+
+module.exports = {
+  SCOPES,
+  parseEnvKeys,
+  createApiKeys
+};
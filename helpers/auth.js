@@ -0,0 +1,55 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/auth.js – Autenticación de rutas administrativas
+ * Token compartido en ADMIN_TOKEN (.env), enviado en el header
+ * x-admin-token o como "Authorization: Bearer <token>".
+ * VIEWER_TOKENS (lista separada por comas) da acceso de solo lectura
+ * con rol "viewer" (p. ej. registros con números enmascarados).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const readToken = (req) => {
+  const header = req.get("authorization") || "";
+  if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, "").trim();
+  return req.get("x-admin-token") || "";
+};
+
+// Token → "admin" | "viewer" | null
+const roleOf = (token) => {
+  if (!token) return null;
+  if (process.env.ADMIN_TOKEN && token === process.env.ADMIN_TOKEN) return "admin";
+  const viewers = (process.env.VIEWER_TOKENS || "").split(",").map((t) => t.trim()).filter(Boolean);
+  return viewers.includes(token) ? "viewer" : null;
+};
+
+// Deja pasar solo los roles indicados; el rol queda en req.role
+const requireRole = (...roles) => (req, res, next) => {
+  const role = roleOf(readToken(req));
+  if (!role) {
+    return res.status(401).json({ status: false, message: "Unauthorized" });
+  }
+  if (!roles.includes(role)) {
+    return res.status(403).json({ status: false, message: "Forbidden" });
+  }
+  req.role = role;
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ status: false, message: "ADMIN_TOKEN is not configured" });
+  }
+  if (readToken(req) !== token) {
+    return res.status(401).json({ status: false, message: "Unauthorized" });
+  }
+  req.role = "admin";
+  next();
+};
+
+module.exports = {
+  readToken,
+  roleOf,
+  requireRole,
+  requireAdmin
+};
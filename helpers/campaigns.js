@@ -0,0 +1,296 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/campaigns.js – Campañas de difusión (anuncio de cursos)
+ * - Destinatarios desde CSV o JSON (columna numero + columnas extra que
+ *   se usan como placeholders, ej. {nombre}).
+ * - Mensaje con placeholders del curso: {titulo}, {fecha_inicio},
+ *   {fecha_fin}, {formulario}.
+ * - Envío de a uno por la cola espaciada (send-queue.js); se puede
+ *   programar, pausar, reanudar y cancelar.
+ * - Se omiten los números que respondieron "BAJA" (optout.js).
+ * Estados de campaña: programada | enviando | pausada | finalizada | cancelada
+ * Estados por destinatario: pendiente | enviado | error | omitido
+ * Eventos: "sent" (campaña, destinatario, texto), "finished" (campaña)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const path = require("path");
+const { fechaLegible } = require("./cursos");
+const { render } = require("./templates");
+const { readJson, writeJson } = require("./files");
+
+const TICK_MS = 30 * 1000;
+const NUMBER_COLUMNS = ["numero", "number", "telefono", "celular", "phone"];
+
+const campaignError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+// Una línea CSV respetando comillas ("a, b" → a, b)
+const splitCsvLine = (line, sep) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { cells.push(cell.trim()); cell = ""; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// CSV con o sin encabezado (separador , o ;) → [{ numero, ...vars }]
+const parseCsv = (text) => {
+  const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  const sep = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ";" : ",";
+  const first = splitCsvLine(lines[0], sep);
+  const hasHeader = first.some((cell) => /[a-z]/i.test(cell) && !/^\+?[\d\s()-]+$/.test(cell));
+  const header = hasHeader ? first.map((h) => h.toLowerCase()) : ["numero"];
+  const numberCol = Math.max(0, header.findIndex((h) => NUMBER_COLUMNS.includes(h)));
+
+  return lines.slice(hasHeader ? 1 : 0).map((line) => {
+    const cells = splitCsvLine(line, sep);
+    const row = { numero: cells[numberCol] || "" };
+    header.forEach((h, i) => { if (i !== numberCol && h) row[h] = cells[i] || ""; });
+    return row;
+  });
+};
+
+// JSON: ["3884...", ...] o [{ numero, nombre, ... }]
+const parseJsonRecipients = (value) => {
+  const list = typeof value === "string" ? JSON.parse(value) : value;
+  if (!Array.isArray(list)) throw campaignError(422, "Recipients must be an array");
+  return list.map((item) => {
+    if (item && typeof item === "object") {
+      const key = Object.keys(item).find((k) => NUMBER_COLUMNS.includes(k.toLowerCase()));
+      const { [key]: numero, ...vars } = item;
+      return { numero: String(numero || ""), ...vars };
+    }
+    return { numero: String(item || "") };
+  });
+};
+
+// Filas → destinatarios sin repetir; los números inválidos se informan aparte
+const toRecipients = (rows, formatNumber) => {
+  const seen = new Set();
+  const recipients = [];
+  const invalid = [];
+  for (const { numero, ...vars } of rows) {
+    let chatId;
+    try {
+      chatId = formatNumber(String(numero));
+    } catch (err) {
+      invalid.push({ numero, error: err.message });
+      continue;
+    }
+    if (seen.has(chatId)) continue;
+    seen.add(chatId);
+    recipients.push({ numero: String(numero), chatId, vars, estado: "pendiente" });
+  }
+  return { recipients, invalid };
+};
+
+const courseVars = (curso) => curso
+  ? {
+    titulo: curso.titulo,
+    fecha_inicio: fechaLegible(curso.fecha_inicio),
+    fecha_fin: fechaLegible(curso.fecha_fin),
+    formulario: curso.formulario
+  }
+  : {};
+
+const textFor = (campaign, recipient) => render(campaign.mensaje, { ...courseVars(campaign.curso), ...recipient.vars });
+
+const summary = (c) => {
+  const counts = { pendiente: 0, enviado: 0, error: 0, omitido: 0 };
+  c.destinatarios.forEach((d) => { counts[d.estado] = (counts[d.estado] || 0) + 1; });
+  const { destinatarios, ...rest } = c;
+  return { ...rest, total: destinatarios.length, counts };
+};
+
+// send(chatId, texto, campaña) → promesa; canSend(campaña) indica si la
+// sesión que envía (campaña.sender) está lista; formatNumber(numero) → chatId
+const createCampaigns = ({ file, queue, send, formatNumber, canSend = () => true, isOptedOut = () => false, now = Date.now, logger = console } = {}) => {
+  const manager = new EventEmitter();
+  const filePath = path.resolve(file);
+  const running = new Set();
+  let campaigns = {};
+  let timer = null;
+
+  try {
+    campaigns = readJson(filePath, {});
+  } catch (e) {
+    logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+  }
+
+  const persist = () => {
+    try {
+      writeJson(filePath, campaigns);
+    } catch (e) {
+      logger.warn(`⚠️  No se pudieron guardar las campañas: ${e.message}`);
+    }
+  };
+
+  const find = (id) => {
+    const c = campaigns[id];
+    if (!c) throw campaignError(404, "Campaign not found: " + id);
+    return c;
+  };
+
+  // Envía los pendientes de a uno hasta terminar, pausar o perder la conexión
+  const run = async (id) => {
+    if (running.has(id)) return;
+    running.add(id);
+    try {
+      for (;;) {
+        const c = campaigns[id];
+        if (!c || c.estado !== "enviando" || !canSend(c)) break;
+
+        const r = c.destinatarios.find((d) => d.estado === "pendiente");
+        if (!r) {
+          c.estado = "finalizada";
+          c.finalizada = new Date(now()).toISOString();
+          persist();
+          logger.log(`📣 Campaña "${c.nombre}" finalizada`);
+          manager.emit("finished", c);
+          break;
+        }
+
+        if (isOptedOut(r.chatId, c)) {
+          r.estado = "omitido";
+          r.motivo = "baja";
+          persist();
+          continue;
+        }
+
+        const texto = textFor(c, r);
+        try {
+          // Si se pausó mientras esperaba turno, el destinatario queda pendiente
+          const sent = await queue.push(async () => {
+            if (c.estado !== "enviando" || !canSend(c)) return false;
+            await send(r.chatId, texto, c);
+            return true;
+          });
+          if (!sent) continue;
+          r.estado = "enviado";
+          r.enviado = new Date(now()).toISOString();
+          manager.emit("sent", c, r, texto);
+        } catch (err) {
+          r.estado = "error";
+          r.error = err.message;
+        }
+        persist();
+      }
+    } finally {
+      running.delete(id);
+    }
+  };
+
+  // Arranca las programadas que vencieron y retoma las que quedaron a medias
+  const tick = () => {
+    for (const c of Object.values(campaigns)) {
+      if (c.estado === "programada" && Date.parse(c.programada) <= now()) {
+        c.estado = "enviando";
+        c.iniciada = new Date(now()).toISOString();
+        persist();
+        logger.log(`📣 Campaña "${c.nombre}" iniciada (${c.destinatarios.length} destinatarios)`);
+      }
+      if (c.estado === "enviando") run(c.id);
+    }
+  };
+
+  // rows: salida de parseCsv / parseJsonRecipients; curso: ficha del catálogo o null
+  manager.create = ({ nombre, mensaje, curso = null, programada = null, sender = "default", rows }) => {
+    const { recipients, invalid } = toRecipients(rows, formatNumber);
+    if (!recipients.length) throw campaignError(422, "No valid recipients", { invalid });
+
+    const when = programada ? Date.parse(programada) : now();
+    if (Number.isNaN(when)) throw campaignError(422, "Invalid programada date");
+
+    const draft = { mensaje, curso: curso && { id: curso.id, titulo: curso.titulo, fecha_inicio: curso.fecha_inicio, fecha_fin: curso.fecha_fin, formulario: curso.formulario } };
+    const missing = new Set();
+    recipients.forEach((r) => (textFor(draft, r).match(/\{\w+\}/g) || []).forEach((m) => missing.add(m)));
+    if (missing.size) throw campaignError(422, "Unresolved placeholders: " + [...missing].join(", "));
+
+    const id = crypto.randomBytes(6).toString("hex");
+    campaigns[id] = {
+      id,
+      nombre: nombre || `Campaña ${new Date(now()).toISOString().slice(0, 10)}`,
+      ...draft,
+      sender,
+      estado: "programada",
+      creada: new Date(now()).toISOString(),
+      programada: new Date(when).toISOString(),
+      invalidos: invalid,
+      destinatarios: recipients
+    };
+    persist();
+    tick();
+    return campaigns[id];
+  };
+
+  manager.list = () => Object.values(campaigns).map(summary).sort((a, b) => b.creada.localeCompare(a.creada));
+
+  manager.get = (id) => ({ ...find(id), counts: summary(find(id)).counts });
+
+  manager.pause = (id) => {
+    const c = find(id);
+    if (!["programada", "enviando"].includes(c.estado)) throw campaignError(409, `Campaign is ${c.estado}`);
+    c.estado = "pausada";
+    persist();
+    return summary(c);
+  };
+
+  manager.resume = (id) => {
+    const c = find(id);
+    if (c.estado !== "pausada") throw campaignError(409, `Campaign is ${c.estado}`);
+    c.estado = Date.parse(c.programada) > now() ? "programada" : "enviando";
+    persist();
+    tick();
+    return summary(c);
+  };
+
+  manager.cancel = (id) => {
+    const c = find(id);
+    if (["finalizada", "cancelada"].includes(c.estado)) throw campaignError(409, `Campaign is ${c.estado}`);
+    c.estado = "cancelada";
+    persist();
+    return summary(c);
+  };
+
+  manager.tick = tick;
+
+  manager.start = () => {
+    if (!timer) {
+      timer = setInterval(tick, TICK_MS);
+      timer.unref();
+    }
+    tick();
+  };
+
+  manager.close = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return manager;
+};
+
+module.exports = {
+  campaignError,
+  parseCsv,
+  parseJsonRecipients,
+  createCampaigns
+};
@@ -0,0 +1,197 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/catalog-schema.js – Esquema y validación de fichas de curso
+ * pickCourse convierte datos malos en valores vacíos sin avisar; acá se
+ * reporta cada problema por id de curso, con tres niveles:
+ *   fatal   → la entrada no se puede cargar (se rechaza)
+ *   error   → se carga, pero el bot puede responder mal
+ *   warning → dato faltante o dudoso
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize, normalizeEstado, KNOWN_STATES, ELIGIBLE_STATES } = require("./cursos");
+
+const DATE_RE     = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+const STRING_FIELDS = ["titulo", "descripcion_breve", "descripcion_completa", "actividades", "duracion_total", "imagen"];
+const STRING_LIST_FIELDS = ["dias_horarios", "localidades", "direcciones"];
+const REQUISITOS_FLAGS = ["mayor_18", "carnet_conducir", "primaria_completa", "secundaria_completa"];
+
+const isBlank = (v) => v === undefined || v === null || v === "";
+
+// Fecha ISO (día o día+hora) → timestamp comparable, o NaN
+const parseDate = (value) => {
+  if (typeof value !== "string" || !(DATE_RE.test(value) || DATETIME_RE.test(value))) return NaN;
+  return Date.parse(DATE_RE.test(value) ? `${value}T00:00:00Z` : `${value}Z`);
+};
+
+// Fin de día para fechas sin hora (una inscripción que cierra "el 30" cubre todo el 30)
+const parseDateEnd = (value) => {
+  const t = parseDate(value);
+  return DATE_RE.test(value || "") ? t + 86399999 : t;
+};
+
+const validateCourse = (c) => {
+  const problems = [];
+  const add = (severity, field, message) => problems.push({ severity, field, message });
+
+  if (!c || typeof c !== "object" || Array.isArray(c)) {
+    add("fatal", "", "la entrada no es un objeto");
+    return problems;
+  }
+
+  // Identidad
+  if (isBlank(c.id)) add("fatal", "id", "falta id");
+  else if (!Number.isInteger(c.id) || c.id <= 0) add("error", "id", `id debe ser un entero positivo (recibido ${JSON.stringify(c.id)})`);
+  if (typeof c.titulo !== "string" || !c.titulo.trim()) add("fatal", "titulo", "falta titulo");
+
+  // Estado
+  const estado = normalizeEstado(c.estado || "proximo");
+  if (isBlank(c.estado)) {
+    add("warning", "estado", "sin estado (se asume proximo)");
+  } else if (!KNOWN_STATES.has(estado)) {
+    add("error", "estado", `estado desconocido "${c.estado}" (válidos: ${[...KNOWN_STATES].join(", ")})`);
+  } else if (c.estado !== estado) {
+    add("warning", "estado", `estado no canónico "${c.estado}" (se interpreta como ${estado})`);
+  }
+  if (!isBlank(c.estado_manual) && !KNOWN_STATES.has(normalizeEstado(c.estado_manual))) {
+    add("error", "estado_manual", `estado_manual desconocido "${c.estado_manual}"`);
+  }
+  const publicado = ELIGIBLE_STATES.has(estado);
+
+  // Tipos de campos de texto y listas
+  for (const f of STRING_FIELDS) {
+    if (!isBlank(c[f]) && typeof c[f] !== "string") add("error", f, "debe ser texto");
+  }
+  for (const f of STRING_LIST_FIELDS) {
+    if (isBlank(c[f])) continue;
+    if (!Array.isArray(c[f]) || c[f].some((x) => typeof x !== "string")) add("error", f, "debe ser una lista de textos");
+  }
+  if (!isBlank(c.duracion_clase_horas) &&
+      (!Array.isArray(c.duracion_clase_horas) || c.duracion_clase_horas.some((x) => !Number.isFinite(x)))) {
+    add("error", "duracion_clase_horas", "debe ser una lista de números");
+  }
+  if (publicado && (!Array.isArray(c.localidades) || !c.localidades.length)) {
+    add("warning", "localidades", "sin localidades (se informará que no hay sedes confirmadas)");
+  }
+
+  if (!isBlank(c.requisitos)) {
+    if (typeof c.requisitos !== "object" || Array.isArray(c.requisitos)) {
+      add("error", "requisitos", "debe ser un objeto");
+    } else {
+      for (const f of REQUISITOS_FLAGS) {
+        if (!isBlank(c.requisitos[f]) && typeof c.requisitos[f] !== "boolean") add("error", `requisitos.${f}`, "debe ser true/false");
+      }
+      if (!isBlank(c.requisitos.otros) && !Array.isArray(c.requisitos.otros)) add("error", "requisitos.otros", "debe ser una lista");
+    }
+  }
+
+  // Cupos
+  if (!isBlank(c.cupos) && !(Number.isInteger(c.cupos) && c.cupos >= 0)) {
+    add("error", "cupos", `cupos debe ser un entero >= 0 (recibido ${JSON.stringify(c.cupos)})`);
+  }
+
+  // Formulario
+  if (isBlank(c.formulario)) {
+    if (publicado && estado !== "proximo") add("error", "formulario", "falta el link de inscripción");
+  } else {
+    let url = null;
+    try { url = new URL(c.formulario); } catch (_e) { /* inválida */ }
+    if (!url || url.protocol !== "https:" || /\s/.test(c.formulario)) {
+      add("error", "formulario", `URL de formulario mal formada: ${c.formulario}`);
+    }
+  }
+
+  // Fechas del curso
+  const fechas = {};
+  for (const f of ["fecha_inicio", "fecha_fin", "inscripcion_inicio", "inscripcion_fin"]) {
+    if (isBlank(c[f])) continue;
+    const t = parseDate(c[f]);
+    if (Number.isNaN(t)) add("error", f, `fecha inválida "${c[f]}" (usar AAAA-MM-DD o AAAA-MM-DDTHH:MM)`);
+    else fechas[f] = c[f];
+  }
+  if (isBlank(c.fecha_inicio)) add(publicado ? "error" : "warning", "fecha_inicio", "falta fecha_inicio");
+  if (isBlank(c.fecha_fin)) add(publicado ? "error" : "warning", "fecha_fin", "falta fecha_fin");
+  if (publicado && isBlank(c.inscripcion_inicio)) add("warning", "inscripcion_inicio", "falta inscripcion_inicio");
+
+  if (fechas.fecha_inicio && fechas.fecha_fin && parseDate(fechas.fecha_fin) < parseDate(fechas.fecha_inicio)) {
+    add("error", "fecha_fin", `fecha_fin (${fechas.fecha_fin}) es anterior a fecha_inicio (${fechas.fecha_inicio})`);
+  }
+
+  // Ventana de inscripción vs. fechas del curso
+  if (fechas.inscripcion_inicio && fechas.inscripcion_fin &&
+      parseDate(fechas.inscripcion_fin) < parseDate(fechas.inscripcion_inicio)) {
+    add("error", "inscripcion_fin", `inscripcion_fin (${fechas.inscripcion_fin}) es anterior a inscripcion_inicio (${fechas.inscripcion_inicio})`);
+  }
+  if (fechas.fecha_fin) {
+    const fin = parseDateEnd(fechas.fecha_fin);
+    for (const f of ["inscripcion_inicio", "inscripcion_fin"]) {
+      if (fechas[f] && parseDate(fechas[f]) > fin) {
+        add("error", f, `${f} (${fechas[f]}) es posterior a fecha_fin (${fechas.fecha_fin})`);
+      }
+    }
+  }
+  if (fechas.fecha_inicio && fechas.inscripcion_inicio &&
+      parseDate(fechas.inscripcion_inicio) > parseDateEnd(fechas.fecha_inicio)) {
+    add("warning", "inscripcion_inicio", `la inscripción abre (${fechas.inscripcion_inicio}) después del inicio del curso (${fechas.fecha_inicio})`);
+  }
+
+  return problems;
+};
+
+// Valida todo el catálogo; agrega ids duplicados y títulos repetidos
+const validateCatalog = (entries) => {
+  if (!Array.isArray(entries)) {
+    return { ok: false, counts: { fatal: 1, error: 0, warning: 0 }, report: [{ ref: "raíz", id: null, titulo: "", problems: [{ severity: "fatal", field: "", message: "JSON raíz no es array" }] }] };
+  }
+
+  const seenIds = new Map();
+  const seenTitles = new Map();
+  const report = entries.map((c, index) => {
+    const problems = validateCourse(c);
+    const hasId = c && typeof c === "object" && !isBlank(c.id);
+    const ref = hasId ? `id ${c.id}` : `posición ${index}`;
+
+    if (hasId) {
+      const key = String(c.id);
+      if (seenIds.has(key)) problems.push({ severity: "fatal", field: "id", message: `id duplicado (también en posición ${seenIds.get(key)})` });
+      else seenIds.set(key, index);
+    }
+    if (c && typeof c.titulo === "string" && c.titulo.trim()) {
+      const key = normalize(c.titulo);
+      if (seenTitles.has(key)) problems.push({ severity: "warning", field: "titulo", message: `título repetido (también en ${seenTitles.get(key)})` });
+      else seenTitles.set(key, ref);
+    }
+
+    return { ref, id: hasId ? c.id : null, titulo: (c && c.titulo) || "", problems };
+  });
+
+  const counts = { fatal: 0, error: 0, warning: 0 };
+  report.forEach((r) => r.problems.forEach((p) => { counts[p.severity]++; }));
+  return { ok: counts.fatal === 0 && counts.error === 0, counts, report };
+};
+
+const hasSeverity = (problems, ...levels) => problems.some((p) => levels.includes(p.severity));
+
+// Texto legible del reporte (log de carga y CLI)
+const formatReport = ({ counts, report }, { minSeverity = "warning" } = {}) => {
+  const levels = minSeverity === "error" ? ["fatal", "error"] : ["fatal", "error", "warning"];
+  const lines = [];
+  for (const r of report) {
+    const problems = r.problems.filter((p) => levels.includes(p.severity));
+    if (!problems.length) continue;
+    lines.push(`• ${r.ref}${r.titulo ? ` – ${r.titulo}` : ""}`);
+    problems.forEach((p) => lines.push(`    [${p.severity}] ${p.field ? p.field + ": " : ""}${p.message}`));
+  }
+  lines.push(`Resumen: ${counts.fatal} fatales, ${counts.error} errores, ${counts.warning} advertencias`);
+  return lines.join("\n");
+};
+
+module.exports = {
+  validateCourse,
+  validateCatalog,
+  hasSeverity,
+  formatReport,
+  parseDate
+};
@@ -0,0 +1,195 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/catalog.js – Catálogo de cursos con recarga en caliente
+ * - Lee el JSON, lo valida contra el esquema (catalog-schema.js), lo sanea
+ *   con pickCourse/normalizeEstado y arma el contexto para el modelo.
+ * - Cada recarga reemplaza la instantánea completa de una sola vez
+ *   (cursos + exhibibles + contexto); si el archivo nuevo no parsea,
+ *   se sigue sirviendo la última versión válida.
+ * - Emite "reload" tras cada recarga exitosa (catalog.on("reload", fn)).
+ * - get() recalcula el estado efectivo de cada curso (estado-curso.js) y
+ *   rearma la instantánea solo si algún estado cambió con el paso del tiempo.
+ * - update() serializa las escrituras del panel admin: modifica el JSON
+ *   crudo, lo valida, lo guarda de forma atómica y recarga al instante.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const fs   = require("fs");
+const path = require("path");
+const { pickCourse, isEligible } = require("./cursos");
+const { computeEstado } = require("./estado-curso");
+const { writeFileAtomic } = require("./files");
+const { validateCatalog, validateCourse, hasSeverity, formatReport } = require("./catalog-schema");
+
+const MAX_CONTEXT_CHARS = 18000;
+const WATCH_DEBOUNCE_MS = 300;
+
+// Arma la instantánea inmutable que consume el handler de mensajes.
+// `estado` pasa a ser el estado efectivo (fechas/override); el de la ficha queda en estado_ficha.
+const buildSnapshot = (base, derived, loadedAt) => {
+  const cursos = base.map((c, i) => {
+    const { estado_manual: _manual, ...rest } = c;
+    return { ...rest, estado: derived[i].estado, estado_ficha: c.estado, estado_origen: derived[i].origen };
+  });
+  // Solo cursos exhibibles al modelo (sin en_curso / finalizado / cupo_completo / inscripcion_cerrada)
+  const cursosExhibibles = cursos.filter(isEligible);
+  const paraModelo = cursosExhibibles.map(({ estado_ficha: _f, estado_origen: _o, ...c }) => c);
+  let contextoCursos = JSON.stringify(paraModelo, null, 2);
+  if (contextoCursos.length > MAX_CONTEXT_CHARS) {
+    contextoCursos = JSON.stringify(paraModelo.slice(0, 40), null, 2);
+  }
+  return Object.freeze({ cursos, cursosExhibibles, contextoCursos, loadedAt });
+};
+
+// Valida cada entrada con el esquema; las que tienen problemas fatales se rechazan
+const parseEntries = (entries) => {
+  const validation = validateCatalog(entries);
+  const accepted = [];
+  const rejected = [];
+
+  validation.report.forEach((r, index) => {
+    const fatal = r.problems.filter((p) => p.severity === "fatal");
+    if (fatal.length) {
+      rejected.push({ ref: r.ref, reason: fatal.map((p) => p.message).join("; ") });
+      return;
+    }
+    try {
+      accepted.push(pickCourse(entries[index]));
+    } catch (e) {
+      rejected.push({ ref: r.ref, reason: e.message });
+    }
+  });
+
+  return { accepted, rejected, validation };
+};
+
+const catalogError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+};
+
+const createCatalog = ({ file, logger = console } = {}) => {
+  const filePath = path.resolve(file);
+  let base = { cursos: [], loadedAt: null };
+  let snapshot = buildSnapshot([], [], null);
+  let snapshotKey = "";
+  let watcher = null;
+  let debounce = null;
+  let loadedMtimeMs = 0;
+  let writing = Promise.resolve();
+  const events = new EventEmitter();
+
+  // Relee el archivo; ante error conserva la última instantánea válida
+  const reload = (reason = "manual") => {
+    let parsed;
+    try {
+      loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+      parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      if (!Array.isArray(parsed)) throw new Error("JSON raíz no es array");
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo cargar ${path.basename(filePath)} (${reason}): ${e.message}. Se mantiene el catálogo anterior (${snapshot.cursos.length} cursos).`);
+      return { ok: false, error: e.message, total: snapshot.cursos.length, rejected: [] };
+    }
+
+    const { accepted, rejected, validation } = parseEntries(parsed);
+    rejected.forEach((r) => logger.warn(`⚠️  Curso rechazado (${r.ref}): ${r.reason}`));
+    if (!validation.ok) {
+      logger.warn(`⚠️  Problemas en ${path.basename(filePath)}:\n${formatReport(validation, { minSeverity: "error" })}`);
+    }
+
+    if (!accepted.length && parsed.length) {
+      logger.warn(`⚠️  Ningún curso válido en ${path.basename(filePath)} (${reason}). Se mantiene el catálogo anterior.`);
+      return { ok: false, error: "sin cursos válidos", total: snapshot.cursos.length, rejected };
+    }
+
+    base = { cursos: accepted, loadedAt: new Date() };
+    snapshotKey = "";
+    logger.log(`✔️  Cursos cargados (${reason}): ${accepted.length}` + (rejected.length ? ` – rechazados: ${rejected.length}` : ""));
+    const result = { ok: true, total: accepted.length, rejected, counts: validation.counts };
+    events.emit("reload", result, reason);
+    return result;
+  };
+
+  // Instantánea vigente con estados efectivos a la fecha `now`
+  const get = (now = new Date()) => {
+    const derived = base.cursos.map((c) => computeEstado(c, now));
+    const key = derived.map((d) => `${d.estado}:${d.origen}`).join(",");
+    if (!snapshotKey || key !== snapshotKey) {
+      snapshot = buildSnapshot(base.cursos, derived, base.loadedAt);
+      snapshotKey = key;
+    }
+    return snapshot;
+  };
+
+  // Observa el directorio (los editores suelen reemplazar el archivo al guardar)
+  const watch = () => {
+    if (watcher) return;
+    const name = path.basename(filePath);
+    watcher = fs.watch(path.dirname(filePath), (_event, changed) => {
+      if (changed && changed.toString() !== name) return;
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        // Ignora eventos de archivos que ya cargamos (p. ej. nuestras propias escrituras)
+        if (fs.existsSync(filePath) && fs.statSync(filePath).mtimeMs !== loadedMtimeMs) {
+          reload("cambio en disco");
+        }
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on("error", (e) => logger.warn("⚠️  Error observando catálogo:", e.message));
+  };
+
+  // Lee el JSON crudo (sin sanear), tal como está en disco
+  const readRaw = () => {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (!Array.isArray(parsed)) throw catalogError(500, "JSON raíz no es array");
+    return parsed;
+  };
+
+  // mutator(entries) → { entries, result }; se rechaza si deja entradas fatales
+  // o si la ficha creada/editada (result) tiene errores de esquema
+  const update = (mutator, reason = "admin") => {
+    const run = writing.then(() => {
+      const { entries, result } = mutator(readRaw());
+      const { rejected } = parseEntries(entries);
+      if (rejected.length) {
+        throw catalogError(422, "Catálogo inválido", rejected);
+      }
+      if (entries.includes(result)) {
+        const problems = validateCourse(result).filter((p) => hasSeverity([p], "fatal", "error"));
+        if (problems.length) throw catalogError(422, "Curso inválido", problems);
+      }
+      writeFileAtomic(filePath, JSON.stringify(entries, null, 2) + "\n");
+      reload(reason);
+      return result;
+    });
+    writing = run.catch(() => {});
+    return run;
+  };
+
+  const close = () => {
+    clearTimeout(debounce);
+    if (watcher) watcher.close();
+    watcher = null;
+  };
+
+  return {
+    file: filePath,
+    get,
+    readRaw,
+    update,
+    reload,
+    watch,
+    close,
+    on: (event, listener) => events.on(event, listener)
+  };
+};
+
+module.exports = {
+  createCatalog,
+  parseEntries,
+  catalogError,
+  MAX_CONTEXT_CHARS
+};
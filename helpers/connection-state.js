@@ -0,0 +1,57 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/connection-state.js – Estado de conexión de las sesiones para
+ * los paneles (Socket.IO)
+ * Escucha una sola vez a wa-sessions.js (que es el único dueño del ciclo
+ * de vida de cada cliente) y guarda lo último de cada sesión: estado y
+ * QR vigente (ya como data URL). Los paneles se suscriben a este objeto
+ * en lugar de al cliente, y al conectarse piden snapshot().
+ * Eventos: "change" (sesión) · "qr" ({ id, src }) · "removed" (id)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+
+// toDataURL(texto) → promesa con la imagen (qrcode.toDataURL)
+const createConnectionState = ({ waSessions, toDataURL, logger = console } = {}) => {
+  const state = new EventEmitter();
+  const current = new Map(); // id → { ...sesión, qr }
+
+  const update = (session) => {
+    const prev = current.get(session.id) || {};
+    // El QR solo vale mientras la sesión lo está esperando
+    const next = { ...session, qr: session.estado === "qr" ? prev.qr || null : null };
+    current.set(session.id, next);
+    state.emit("change", next);
+  };
+
+  waSessions.list().forEach((s) => current.set(s.id, { ...s, qr: null }));
+  waSessions.on("status", update);
+
+  waSessions.on("qr", (id, qr) => {
+    Promise.resolve(toDataURL(qr))
+      .then((src) => {
+        const session = current.get(id);
+        if (!session) return;
+        session.qr = src;
+        state.emit("qr", { id, src });
+      })
+      .catch((e) => logger.warn(`⚠️  Sesión ${id}: no se pudo generar el QR (${e.message})`));
+  });
+
+  waSessions.on("removed", (id) => {
+    current.delete(id);
+    state.emit("removed", id);
+  });
+
+  state.get = (id) => current.get(id) || null;
+
+  // Todas las sesiones, con el QR vigente si lo hay
+  state.snapshot = () => [...current.values()].map((s) => ({ ...s }));
+
+  return state;
+};
+
+module.exports = {
+  createConnectionState
+};
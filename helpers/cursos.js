@@ -0,0 +1,147 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/cursos.js – Utilidades "Camila" sobre la ficha de cursos
+ * (normalización de texto, saneado, estados y coincidencias por título)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const normalize = (s) =>
+  (s || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const meses = [
+  "enero","febrero","marzo","abril","mayo","junio",
+  "julio","agosto","septiembre","octubre","noviembre","diciembre"
+];
+const fechaLegible = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getUTCDate()} de ${meses[d.getUTCMonth()]}`;
+};
+
+// AAAA-MM-DD → DD/MM/AAAA (formato de fechas de las respuestas)
+const fechaCorta = (iso) => (/^\d{4}-\d{2}-\d{2}/.test(iso || "") ? iso.slice(0, 10).split("-").reverse().join("/") : "");
+
+const sanitize = (s) =>
+  (s || "")
+    .toString()
+    .replace(/[`*_<>{}]/g, (ch) => {
+      const map = { "<": "&lt;", ">": "&gt;", "{": "&#123;", "}": "&#125;" };
+      return map[ch] || ch;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+const clamp = (s, max = 1200) => {
+  s = (s || "").toString();
+  return s.length > max ? s.slice(0, max) + "…" : s;
+};
+
+// normaliza estado (mapea sinónimos y acentos)
+const normalizeEstado = (s) => {
+  const v = normalize(s || "proximo").replace(/\s+/g, "_");
+  if (v === "cupos_completos" || v === "completo") return "cupo_completo";
+  if (v === "ultimos_cupos" || v === "ultimos__cupos" || v === "ultimos-cupos")
+    return "ultimos_cupos";
+  if (v === "inscripcion_finalizada" || v === "inscripciones_cerradas" || v === "cerrada") return "inscripcion_cerrada";
+  if (v === "en_curso" || v === "en" || v === "en-curso" || v === "cursando") return "en_curso";
+  if (v === "finalizado" || v === "finalizado_") return "finalizado";
+  return v;
+};
+
+const pickCourse = (c) => ({
+  id: c.id,
+  titulo: sanitize(c.titulo),
+  descripcion_breve: sanitize(c.descripcion_breve),
+  descripcion_completa: sanitize(c.descripcion_completa),
+  actividades: sanitize(c.actividades),
+  duracion_total: sanitize(c.duracion_total),
+  fecha_inicio: c.fecha_inicio || "",
+  fecha_inicio_legible: fechaLegible(c.fecha_inicio || ""),
+  fecha_fin: c.fecha_fin || "",
+  fecha_fin_legible: fechaLegible(c.fecha_fin || ""),
+  frecuencia_semanal: c.frecuencia_semanal ?? "otro",
+  duracion_clase_horas: Array.isArray(c.duracion_clase_horas) ? c.duracion_clase_horas.slice(0, 3) : [],
+  dias_horarios: Array.isArray(c.dias_horarios) ? c.dias_horarios.map(sanitize).slice(0, 8) : [],
+  localidades: Array.isArray(c.localidades) ? c.localidades.map(sanitize).slice(0, 12) : [],
+  direcciones: Array.isArray(c.direcciones) ? c.direcciones.map(sanitize).slice(0, 8) : [],
+  requisitos: {
+    mayor_18: !!(c.requisitos && c.requisitos.mayor_18),
+    carnet_conducir: !!(c.requisitos && c.requisitos.carnet_conducir),
+    primaria_completa: !!(c.requisitos && c.requisitos.primaria_completa),
+    secundaria_completa: !!(c.requisitos && c.requisitos.secundaria_completa),
+    otros: (c.requisitos && Array.isArray(c.requisitos.otros)) ? c.requisitos.otros.map(sanitize).slice(0, 10) : []
+  },
+  materiales: {
+    aporta_estudiante: (c.materiales && Array.isArray(c.materiales.aporta_estudiante))
+      ? c.materiales.aporta_estudiante.map(sanitize).slice(0, 30)
+      : [],
+    entrega_curso: (c.materiales && Array.isArray(c.materiales.entrega_curso))
+      ? c.materiales.entrega_curso.map(sanitize).slice(0, 30)
+      : []
+  },
+  formulario: sanitize(c.formulario || ""),
+  imagen: sanitize(c.imagen || ""),
+  estado: normalizeEstado(c.estado || "proximo"),
+  estado_manual: c.estado_manual ? normalizeEstado(c.estado_manual) : "",
+  inscripcion_inicio: c.inscripcion_inicio || "",
+  inscripcion_fin: c.inscripcion_fin || "",
+  cupos: Number.isFinite(c.cupos) ? c.cupos : null
+});
+
+// Campos editables de una ficha (lo que se persiste en el JSON)
+const COURSE_FIELDS = [
+  "id", "titulo", "descripcion_breve", "descripcion_completa", "actividades",
+  "duracion_total", "fecha_inicio", "fecha_fin", "frecuencia_semanal",
+  "duracion_clase_horas", "dias_horarios", "localidades", "direcciones",
+  "requisitos", "materiales", "formulario", "imagen", "estado",
+  "estado_manual", "inscripcion_inicio", "inscripcion_fin", "cupos"
+];
+
+// Estados elegibles (para ocultar al modelo los que no debe sugerir/listar)
+const ELIGIBLE_STATES = new Set(["inscripcion_abierta", "proximo", "ultimos_cupos"]);
+const isEligible = (c) => ELIGIBLE_STATES.has((c.estado || "proximo").toLowerCase());
+
+// Estados no exhibibles (filtro duro) y conjunto completo de estados válidos
+const HIDDEN_STATES = new Set(["en_curso", "finalizado", "cupo_completo", "inscripcion_cerrada"]);
+const KNOWN_STATES = new Set([...ELIGIBLE_STATES, ...HIDDEN_STATES]);
+
+// Detección de mención directa del título
+const isDirectTitleMention = (query, title) => {
+  const q = normalize(query);
+  const t = normalize(title);
+  if (!q || !t) return false;
+  if (q.includes(t)) return true;
+
+  const qTok = new Set(q.split(" ").filter(Boolean));
+  const tTok = new Set(t.split(" ").filter(Boolean));
+  const inter = [...qTok].filter((x) => tTok.has(x)).length;
+  const uni   = new Set([...qTok, ...tTok]).size;
+  const j     = uni ? inter / uni : 0;
+
+  return j >= 0.72 || (inter >= 2 && j >= 0.55);
+};
+
+module.exports = {
+  normalize,
+  meses,
+  fechaLegible,
+  fechaCorta,
+  sanitize,
+  clamp,
+  normalizeEstado,
+  pickCourse,
+  COURSE_FIELDS,
+  ELIGIBLE_STATES,
+  HIDDEN_STATES,
+  KNOWN_STATES,
+  isEligible,
+  isDirectTitleMention
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/estado-curso.js – Estado efectivo de un curso según la fecha
+ * Prioridad:
+ *   1) estado_manual (override explícito del equipo)
+ *   2) fechas: finalizado > en_curso > ventana de inscripción > proximo;
+ *      con la inscripción vencida y el curso sin empezar: inscripcion_cerrada
+ *   3) estado cargado a mano en la ficha (si faltan fechas)
+ * Las fechas se comparan en hora local de Jujuy (CAMILA_TZ).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalizeEstado } = require("./cursos");
+
+const DEFAULT_TZ = "America/Argentina/Jujuy";
+
+// Capacidad: solo el equipo sabe si quedan pocos cupos o se llenó
+const CAPACITY_STATES = new Set(["ultimos_cupos", "cupo_completo"]);
+
+// "Ahora" en hora local como "AAAA-MM-DDTHH:MM" (comparable como texto)
+const localNow = (now = new Date(), timeZone = process.env.CAMILA_TZ || DEFAULT_TZ) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", hourCycle: "h23"
+  }).formatToParts(now).forEach((p) => { parts[p.type] = p.value; });
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+// Fecha de la ficha → "AAAA-MM-DDTHH:MM"; sin hora, el inicio o el fin del día
+const toStamp = (value, endOfDay = false) => {
+  if (!value || typeof value !== "string") return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value}T${endOfDay ? "23:59" : "00:00"}`;
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return value.slice(0, 16);
+  return "";
+};
+
+// c: ficha saneada (pickCourse); devuelve { estado, origen }
+const computeEstado = (c, now = new Date()) => {
+  const manual = c.estado_manual ? normalizeEstado(c.estado_manual) : "";
+  if (manual) return { estado: manual, origen: "manual" };
+
+  const base = normalizeEstado(c.estado || "proximo");
+  const ahora = localNow(now);
+  const inicio = toStamp(c.fecha_inicio);
+  const fin = toStamp(c.fecha_fin, true);
+  const inscInicio = toStamp(c.inscripcion_inicio);
+  const inscFin = toStamp(c.inscripcion_fin, true);
+
+  if (fin && ahora > fin) return { estado: "finalizado", origen: "fechas" };
+  if (inicio && ahora >= inicio) return { estado: "en_curso", origen: "fechas" };
+
+  if (inscInicio && ahora < inscInicio) return { estado: "proximo", origen: "fechas" };
+  if (inscInicio && (!inscFin || ahora <= inscFin)) {
+    if (c.cupos === 0) return { estado: "cupo_completo", origen: "fechas" };
+    if (CAPACITY_STATES.has(base)) return { estado: base, origen: "ficha" };
+    return { estado: "inscripcion_abierta", origen: "fechas" };
+  }
+  // Inscripción cerrada y el curso todavía no empezó: no admite nuevas
+  // inscripciones, pero no por cupo (salvo que la ficha diga que se llenó)
+  if (inscFin && ahora > inscFin) {
+    if (c.cupos === 0 || base === "cupo_completo") return { estado: "cupo_completo", origen: c.cupos === 0 ? "fechas" : "ficha" };
+    return { estado: "inscripcion_cerrada", origen: "fechas" };
+  }
+
+  return { estado: base, origen: "ficha" };
+};
+
+module.exports = {
+  DEFAULT_TZ,
+  localNow,
+  toStamp,
+  computeEstado
+};
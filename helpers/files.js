@@ -0,0 +1,30 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/files.js – Lectura/escritura segura de archivos JSON de datos
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+
+// Escritura atómica: archivo temporal + rename
+const writeFileAtomic = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data, "utf-8");
+  fs.renameSync(tmp, filePath);
+};
+
+// JSON del archivo, o `fallback` si no existe
+const readJson = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+};
+
+const writeJson = (filePath, value) => writeFileAtomic(filePath, JSON.stringify(value, null, 2) + "\n");
+
+module.exports = {
+  writeFileAtomic,
+  readJson,
+  writeJson
+};
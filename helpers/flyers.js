@@ -0,0 +1,115 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/flyers.js – Ficha del curso con su flyer para WhatsApp
+ * - courseCard(curso): texto de la ficha (fechas, sede, horarios, link
+ *   si la inscripción está abierta), entra como epígrafe de la imagen.
+ * - createFlyerStore(): resuelve `curso.imagen`
+ *     · URL http(s) → se descarga (sin redirecciones a direcciones privadas)
+ *     · ruta relativa ("assets/img/…") → ASSETS_DIR (default: raíz del
+ *       proyecto) y, si no está ahí, ASSETS_BASE_URL + ruta
+ *   y devuelve { mimetype, data (base64), filename } o null si no hay
+ *   imagen (quien llama manda la ficha como texto). Se cachean las
+ *   últimas CACHE_SIZE imágenes en memoria.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+const { fechaCorta, clamp } = require("./cursos");
+const { fetchRemote, inspectMedia, maxBytes } = require("./media");
+const { OPEN_STATES } = require("./waitlist");
+
+const CAPTION_MAX = 1024; // límite de epígrafe de WhatsApp
+const CACHE_SIZE = 20;
+const DEFAULT_DIR = path.join(__dirname, "..");
+
+const lista = (value) => (Array.isArray(value) ? value.filter(Boolean).join(", ") : value || "");
+
+// curso: ficha del catálogo (pickCourse, con estado efectivo)
+const courseCard = (curso) => {
+  const lineas = [`*${curso.titulo}*`];
+  if (curso.descripcion_breve) lineas.push(curso.descripcion_breve);
+  lineas.push("");
+
+  const inicio = fechaCorta(curso.fecha_inicio);
+  const fin = fechaCorta(curso.fecha_fin);
+  lineas.push(`📅 Inicio: ${inicio || "sin fecha confirmada"}` + (fin ? ` · Fin: ${fin}` : ""));
+  const sede = lista(curso.localidades);
+  lineas.push(sede ? `📍 Sede: ${sede}` + (curso.direcciones && curso.direcciones.length ? ` (${lista(curso.direcciones)})` : "") : "📍 Por ahora no hay sedes confirmadas para este curso.");
+  if (curso.dias_horarios && curso.dias_horarios.length) lineas.push(`🕒 Días y horarios: ${lista(curso.dias_horarios)}`);
+  if (curso.duracion_total) lineas.push(`⏳ Duración: ${curso.duracion_total}`);
+
+  if (OPEN_STATES.has(curso.estado) && curso.formulario) {
+    lineas.push("", (curso.estado === "ultimos_cupos" ? "¡Quedan pocos cupos! " : "") + `📝 Inscripción: ${curso.formulario}`);
+  } else {
+    const abre = fechaCorta(curso.inscripcion_inicio);
+    lineas.push("", `📝 La inscripción aún no está habilitada${abre ? `; abre el ${abre}` : " (sin fecha confirmada)"}.`);
+  }
+  return clamp(lineas.join("\n"), CAPTION_MAX - 1);
+};
+
+// dir: carpeta de assets · baseUrl: sitio que publica los assets (ej. https://…/)
+const createFlyerStore = ({ dir = DEFAULT_DIR, baseUrl = "", limit = maxBytes(), logger = console } = {}) => {
+  const root = path.resolve(dir);
+  const cache = new Map(); // imagen → media (orden de uso)
+
+  const remember = (key, media) => {
+    cache.delete(key);
+    cache.set(key, media);
+    if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return media;
+  };
+
+  const readLocal = async (imagen) => {
+    const file = path.resolve(root, imagen.replace(/^\/+/, ""));
+    if (file !== root && !file.startsWith(root + path.sep)) return null; // fuera de la carpeta
+    try {
+      const stat = await fs.promises.stat(file);
+      if (!stat.isFile() || stat.size > limit) return null;
+      return { data: await fs.promises.readFile(file), filename: path.basename(file) };
+    } catch (_e) {
+      return null;
+    }
+  };
+
+  const urlFor = (imagen) => {
+    if (/^https?:\/\//i.test(imagen)) return imagen;
+    if (!baseUrl) return null;
+    return new URL(imagen.replace(/^\/+/, ""), baseUrl.endsWith("/") ? baseUrl : baseUrl + "/").href;
+  };
+
+  // curso → { mimetype, data, filename } | null
+  const load = async (curso) => {
+    const imagen = String((curso && curso.imagen) || "").trim();
+    if (!imagen) return null;
+    if (cache.has(imagen)) return remember(imagen, cache.get(imagen));
+
+    try {
+      let file = /^https?:\/\//i.test(imagen) ? null : await readLocal(imagen);
+      if (!file) {
+        const url = urlFor(imagen);
+        if (!url) {
+          logger.warn(`⚠️  Flyer no encontrado para "${curso.titulo}": ${imagen}`);
+          return null;
+        }
+        file = await fetchRemote(url, { limit });
+      }
+      const { mimetype, base64, filename } = inspectMedia(file.data, file.filename);
+      if (!mimetype.startsWith("image/")) throw new Error(`no es una imagen (${mimetype})`);
+      return remember(imagen, { mimetype, data: base64, filename });
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo cargar el flyer de "${curso.titulo}" (${imagen}): ${e.message}`);
+      return null;
+    }
+  };
+
+  const clear = () => cache.clear();
+
+  return { load, clear };
+};
+
+module.exports = {
+  CAPTION_MAX,
+  courseCard,
+  createFlyerStore
+};
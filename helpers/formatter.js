@@ -1,20 +1,144 @@
-const phoneNumberFormatter = function(number) {
-  // 1. Menghilangkan karakter selain angka
-  let formatted = number.replace(/\D/g, '');
-
-  // 2. Menghilangkan angka 0 di depan (prefix)
-  //    Kemudian diganti dengan 62
-  if (formatted.startsWith('0')) {
-    formatted = '62' + formatted.substr(1);
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/formatter.js – Número de teléfono → chatId de WhatsApp (@c.us)
+ * País por defecto: DEFAULT_COUNTRY (default AR). Para números locales sin
+ * característica se usa DEFAULT_AREA_CODE (ej. 388 para Jujuy).
+ * Argentina (celulares en WhatsApp: 549 + característica + número):
+ *   "0388 15 412-3456" · "388 4123456" · "+54 9 388 4123456" ·
+ *   "+54 388 15 4123456" · "15 4123456" (con DEFAULT_AREA_CODE=388)
+ *   → 5493884123456@c.us
+ * Se quita el 0 de larga distancia y el 15; el número nacional debe
+ * quedar en 10 dígitos. Con el 9 de celular (54 9 …) tienen que seguir
+ * exactamente 10 dígitos, sin 0 ni 15. Los números con + / 00 de otro país se respetan.
+ * parsePhoneNumber() → { ok, number, chatId } | { ok: false, error }
+ * phoneNumberFormatter() → chatId o lanza el error (status 422)
+ *──────────────────────────────────────────────────────────────────────*/
+
+// Características de 2 y 3 dígitos; el resto del país usa 4
+const AR_AREA_CODES_2 = new Set(["11"]);
+const AR_AREA_CODES_3 = new Set([
+  "220", "221", "223", "230", "236", "237", "249", "260", "261", "263", "264",
+  "266", "280", "291", "294", "297", "298", "299", "336", "341", "342", "343",
+  "345", "348", "351", "353", "358", "362", "364", "370", "376", "379", "380",
+  "381", "383", "385", "387", "388"
+]);
+
+const areaCodeLength = (national) => {
+  if (AR_AREA_CODES_2.has(national.slice(0, 2))) return 2;
+  if (AR_AREA_CODES_3.has(national.slice(0, 3))) return 3;
+  return 4;
+};
+
+const phoneError = (code, message, input) => {
+  const err = new Error(message);
+  err.status = 422;
+  err.code = code;
+  err.details = { code, input };
+  return err;
+};
+
+const fail = (code, message, input) => ({ ok: false, error: { code, message, input } });
+
+// Argentina: dígitos nacionales (sin 54) → 549XXXXXXXXXX
+const normalizeAR = (digits, { areaCode, withCountryCode, input }) => {
+  let national = digits;
+  // 54 9 …: el 9 de celular va seguido exactamente de los 10 dígitos nacionales
+  if (national.startsWith("9") && (withCountryCode || national.length > 10)) {
+    // Las características empiezan con 1, 2 o 3 (un 0 o un 9 de más no es válido)
+    if (!/^9[1-3]\d{9}$/.test(national)) {
+      return fail("invalid_length", "After 54 9 the number must have 10 digits (area code + number)", input);
+    }
+    return { ok: true, number: "54" + national };
+  }
+  if (national.startsWith("0")) national = national.slice(1);                            // trunk 0
+
+  // 15 después de la característica: 388 15 4123456
+  if (national.length === 12) {
+    const len = areaCodeLength(national);
+    if (national.slice(len, len + 2) === "15") national = national.slice(0, len) + national.slice(len + 2);
+  }
+
+  // Número local sin característica: 15 4123456 / 4123456
+  if (national.length < 10 && !withCountryCode) {
+    if (!areaCode) {
+      return fail("missing_area_code", "Local number without area code (set DEFAULT_AREA_CODE)", input);
+    }
+    let local = national;
+    const subscriberLength = 10 - areaCode.length;
+    if (local.length === subscriberLength + 2 && local.startsWith("15")) local = local.slice(2);
+    if (local.length !== subscriberLength) {
+      return fail("invalid_length", `Local number must have ${subscriberLength} digits after area code ${areaCode}`, input);
+    }
+    national = areaCode + local;
   }
 
-  if (!formatted.endsWith('@c.us')) {
-    formatted += '@c.us';
+  if (national.length !== 10) {
+    return fail("invalid_length", "Argentine numbers must have 10 digits (area code + number)", input);
   }
+  return { ok: true, number: "549" + national };
+};
+
+// Genérico: código de país + número nacional sin el 0 inicial
+const normalizeGeneric = (country) => (digits, { input }) => {
+  const national = digits.replace(/^0+/, "");
+  const number = country.code + national;
+  if (number.length < country.min || number.length > 15) {
+    return fail("invalid_length", `Invalid length for country ${country.id}`, input);
+  }
+  return { ok: true, number };
+};
+
+const COUNTRIES = {
+  AR: { id: "AR", code: "54", normalize: normalizeAR },
+  ID: { id: "ID", code: "62", min: 10 }
+};
+COUNTRIES.ID.normalize = normalizeGeneric(COUNTRIES.ID);
+
+const parsePhoneNumber = (value, { country = process.env.DEFAULT_COUNTRY || "AR", areaCode = process.env.DEFAULT_AREA_CODE || "" } = {}) => {
+  const input = String(value === undefined || value === null ? "" : value).trim();
+  const cfg = COUNTRIES[String(country).toUpperCase()];
+  if (!cfg) return fail("unsupported_country", `Unsupported country: ${country}`, input);
+
+  const raw = input.replace(/@c\.us$/i, "");
+  let digits = raw.replace(/\D/g, "");
+  if (!digits) return fail("empty", "Phone number is empty", input);
+
+  // "+", "00" o un chatId ya armado → viene con código de país
+  const international = /^\s*(\+|00)/.test(raw) || /@c\.us$/i.test(input);
+  if (/^\s*00/.test(raw)) digits = digits.slice(2);
+
+  const options = { areaCode: String(areaCode).replace(/\D/g, ""), input };
+  let result;
+  if (digits.startsWith(cfg.code) && (international || digits.length > 11)) {
+    result = cfg.normalize(digits.slice(cfg.code.length), { ...options, withCountryCode: true });
+  } else if (international) {
+    result = digits.length >= 8 && digits.length <= 15
+      ? { ok: true, number: digits }
+      : fail("invalid_length", "International numbers must have 8 to 15 digits", input);
+  } else {
+    result = cfg.normalize(digits, options);
+  }
+
+  return result.ok ? { ...result, chatId: result.number + "@c.us" } : result;
+};
+
+const phoneNumberFormatter = (value, options) => {
+  const result = parsePhoneNumber(value, options);
+  if (!result.ok) throw phoneError(result.error.code, result.error.message, result.error.input);
+  return result.chatId;
+};
 
-  return formatted;
-}
+// express-validator: body("number").custom(isPhoneNumber)
+const isPhoneNumber = (value) => {
+  const result = parsePhoneNumber(value);
+  if (!result.ok) throw new Error(result.error.message);
+  return true;
+};
 
 module.exports = {
-  phoneNumberFormatter
-}
\ No newline at end of file
+  COUNTRIES,
+  parsePhoneNumber,
+  phoneNumberFormatter,
+  isPhoneNumber
+};
@@ -0,0 +1,132 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/handoff.js – Modo humano: un operador toma el chat y Camila calla
+ * - Se activa si el usuario lo pide ("hablar con una persona") o si un
+ *   operador toma el chat desde el panel.
+ * - Vuelve al bot al liberarlo o tras HANDOFF_TIMEOUT_MINUTES sin actividad.
+ * - Guarda los últimos mensajes de cada chat para el panel del operador.
+ * Eventos: "open" (record), "message" (chatId, entry), "close" (record, reason)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const path = require("path");
+const { normalize } = require("./cursos");
+const { readJson, writeJson } = require("./files");
+
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_MESSAGES = 50;
+
+const HUMAN_RE = /\b(hablar|comunicarme|comunicame|comunicas|contactar|atender|atiende|pasame|pasas|pases|pasar) (con )?(a )?(una |un |alguna |algun )?(persona|humano|humana|operador|operadora|asesor|asesora|alguien|empleado|empleada)\b|\b(atencion humana|persona real|quiero un humano|con un humano)\b/;
+
+// ¿El usuario pide hablar con una persona?
+const wantsHuman = (text) => HUMAN_RE.test(normalize(text));
+
+const createHandoffDesk = ({ file, timeoutMs = DEFAULT_TIMEOUT_MS, now = Date.now, logger = console } = {}) => {
+  const desk = new EventEmitter();
+  const records = new Map(); // chatId → { chatId, since, lastActivity, by, operator, reason, messages }
+  const filePath = file ? path.resolve(file) : null;
+
+  if (filePath) {
+    try {
+      Object.values(readJson(filePath, {})).forEach((r) => records.set(r.chatId, r));
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+    }
+  }
+
+  const persist = () => {
+    if (!filePath) return;
+    try {
+      writeJson(filePath, Object.fromEntries(records));
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo guardar el modo humano: ${e.message}`);
+    }
+  };
+
+  const expired = (r) => timeoutMs > 0 && now() - r.lastActivity > timeoutMs;
+
+  const close = (chatId, reason = "liberado") => {
+    const r = records.get(chatId);
+    if (!r) return null;
+    records.delete(chatId);
+    persist();
+    desk.emit("close", r, reason);
+    return r;
+  };
+
+  // Registro activo del chat, o null (expira por inactividad)
+  desk.get = (chatId) => {
+    const r = records.get(chatId);
+    if (!r) return null;
+    if (expired(r)) {
+      close(chatId, "timeout");
+      return null;
+    }
+    return r;
+  };
+
+  desk.isActive = (chatId) => !!desk.get(chatId);
+
+  // history: historial corto de Camila para dar contexto al operador
+  desk.open = (chatId, { by = "usuario", operator = null, reason = "", history = [] } = {}) => {
+    const existing = desk.get(chatId);
+    if (existing) {
+      if (operator) existing.operator = operator;
+      existing.lastActivity = now();
+      persist();
+      return existing;
+    }
+    const ts = now();
+    const r = {
+      chatId,
+      since: ts,
+      lastActivity: ts,
+      by,
+      operator,
+      reason,
+      messages: history.map((h) => ({ from: h.role === "assistant" ? "camila" : "usuario", text: h.content, ts }))
+    };
+    records.set(chatId, r);
+    persist();
+    desk.emit("open", r);
+    return r;
+  };
+
+  desk.close = close;
+
+  // from: "usuario" | "operador" | "camila"
+  desk.append = (chatId, { from, text, operator = null }) => {
+    const r = desk.get(chatId);
+    if (!r) return null;
+    const entry = { from, text, ts: now(), ...(operator ? { operator } : {}) };
+    r.messages.push(entry);
+    if (r.messages.length > MAX_MESSAGES) r.messages = r.messages.slice(-MAX_MESSAGES);
+    r.lastActivity = entry.ts;
+    persist();
+    desk.emit("message", chatId, entry);
+    return entry;
+  };
+
+  desk.list = () => [...records.keys()].map(desk.get).filter(Boolean);
+
+  // Cierra los vencidos (los avisos salen por el evento "close")
+  desk.sweep = () => {
+    let closed = 0;
+    for (const r of [...records.values()]) {
+      if (expired(r)) {
+        close(r.chatId, "timeout");
+        closed++;
+      }
+    }
+    return closed;
+  };
+
+  return desk;
+};
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  wantsHuman,
+  createHandoffDesk
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/intents.js – Router determinista de intenciones con respuesta fija
+ * Mismo espíritu que los atajos duroTarget/followUpRE del handler: si el
+ * mensaje es una consulta de política (precio, edad, web, Expo, cursos
+ * 2026) se responde desde templates/respuestas/<intent>.md sin llamar al
+ * modelo. Una respuesta apagada o fuera de fecha desactiva su intención.
+ * La mención de un curso se detecta con la misma búsqueda que el filtro
+ * duro (retriever.directMatch de helpers/retrieval.js) y, para la
+ * planificación 2026, con cualquier palabra de un título (retriever.search).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize, isDirectTitleMention } = require("./cursos");
+
+// Sin retriever: mención por título (helpers/cursos.js)
+const titleMatch = (cursos, text) => cursos.find((c) => isDirectTitleMention(text, c.titulo)) || null;
+
+// Preguntas por toda la oferta: "hay cursos", "que cursos hay", "oferta de cursos"…
+const CURSOS = "(cursos?|capacitacion|capacitaciones|talleres?)";
+const CATALOG_RES = [
+  new RegExp(`\\b(hay|habra|tienen|ofrecen|dictan|dictando|va a haber|van a dar)( algun| algunos| nuevos| nuevas| otros| mas)? ${CURSOS}\\b`),
+  new RegExp(`\\b(que|cuales|cuantos) (cursos|capacitaciones|talleres)\\b`),
+  new RegExp(`\\b(oferta|listado|lista|catalogo) de ${CURSOS}\\b`),
+  new RegExp(`\\b(cursos|capacitaciones|talleres) (disponibles|nuevos|nuevas|abiertos|2026|para este ano|de este ano)\\b`),
+  new RegExp(`\\b(nuevos|proximos) ${CURSOS}\\b`)
+];
+
+// Palabras de la pregunta general que no nombran un curso (para buscar el resto)
+const GENERIC_RE = new RegExp(`\\b${CURSOS}\\b`, "g");
+
+// Dato puntual de un curso (no es una pregunta por la oferta)
+const FIELD_RE = /\b(requisitos?|dias?|horarios?|hora|materiales?|cupos?|link|inscrib\w*|inscripcion\w*|formulario|sede|direccion|donde queda|fecha|empieza|inicia|comienza|termina|dura|duracion|certificado|llevar)\b/;
+
+// Orden = prioridad (la primera que matchea gana). Se evalúan sobre texto normalizado.
+const INTENTS = [
+  {
+    name: "precio",
+    test: (t) => /\b(precio|precios|costo|costos|cuesta|cuestan|cuanto sale|cuanto salen|arancel|arancelado|hay que pagar|tengo que pagar|se paga|cobran|gratis|gratuito|gratuitos|cuota)\b/.test(t)
+  },
+  {
+    name: "edad",
+    test: (t) => /\b(edad|menor de edad|menores|mayor de edad|cuantos anos|tengo \d{1,2} anos|\d{1,2} anos puedo|adolescente|adolescentes)\b/.test(t)
+  },
+  {
+    name: "web",
+    test: (t) => /\b(pagina web|pagina oficial|sitio web|sitio oficial|la web|website)\b/.test(t)
+  },
+  {
+    name: "expo",
+    test: (t, { mentionsCourse }) => /\bexpo\b/.test(t) && /\b(inscrib|inscript|anot)\w*/.test(t) && !mentionsCourse
+  },
+  {
+    name: "planificacion_2026",
+    // Solo preguntas por el catálogo entero; un curso puntual o un dato
+    // (requisitos, días, cupos…) va al modelo
+    test: (t, { mentionsCourse, titleHit }) => !FIELD_RE.test(t) && CATALOG_RES.some((re) => re.test(t)) && !mentionsCourse && !titleHit()
+  }
+];
+
+// templates: store de helpers/templates.js
+// matchCourse(cursos, texto) → curso | null (retriever.directMatch, el del filtro duro)
+// findCourses(cursos, texto) → [{ cobertura }] (retriever.search), opcional
+const createIntentRouter = ({ templates, matchCourse = titleMatch, findCourses = null }) => {
+  // → { intent, reply } o null si la consulta es abierta (va al modelo)
+  const match = (text, { cursos = [], now = new Date() } = {}) => {
+    const t = normalize(text);
+    if (!t) return null;
+    // Alguna mención directa de un curso del catálogo (desactiva expo/planificación)
+    const mentionsCourse = cursos.length > 0 && !!matchCourse(cursos, text);
+    // Alguna palabra del título de un curso, sin contar "cursos"/"talleres"…
+    const titleHit = () => !!findCourses && cursos.length > 0 &&
+      findCourses(cursos, t.replace(GENERIC_RE, " ")).some((r) => r.cobertura > 0);
+    for (const intent of INTENTS) {
+      if (!intent.test(t, { cursos, mentionsCourse, titleHit })) continue;
+      const reply = templates.reply(intent.name, {}, now);
+      if (reply) return { intent: intent.name, reply };
+    }
+    return null;
+  };
+
+  return { match };
+};
+
+module.exports = {
+  INTENTS,
+  createIntentRouter
+};
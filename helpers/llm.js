@@ -0,0 +1,251 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/llm.js – Proveedores de modelo de lenguaje con failover
+ * Proveedores:
+ * - openai: API de OpenAI (OPENAI_API_KEY).
+ * - local:  cualquier servidor compatible con la API de OpenAI
+ *           (llama.cpp server, Ollama, LM Studio…) en LOCAL_LLM_URL.
+ * - reglas: sin modelo; arma la respuesta con el catálogo y los
+ *           candidatos de la búsqueda. Nunca falla, va último.
+ * complete({ messages, context, format }) prueba el primario y, si tarda
+ * más de timeoutMs o falla, sigue con el siguiente. Un proveedor que falló
+ * se saltea durante cooldownMs (así no se espera el timeout en cada
+ * mensaje). format "json" pide un objeto JSON (response_format en los
+ * compatibles con OpenAI; el formato está en helpers/answer.js).
+ * Eventos: "failure" ({ provider, error }) · "failover" ({ from, to })
+ *
+ * .env (createLLMFromEnv):
+ *   LLM_PROVIDER=openai|local|reglas (default: openai si hay clave,
+ *     local si hay LOCAL_LLM_URL, si no reglas)
+ *   LLM_FALLBACK=local,reglas (orden de respaldo; "none" = sin respaldo;
+ *     default: local si hay LOCAL_LLM_URL, y reglas)
+ *   LLM_MODEL (gpt-4o-mini) · LLM_TEMPERATURE (0.2) · LLM_MAX_TOKENS (700)
+ *   LLM_TIMEOUT_MS (20000) · LLM_COOLDOWN_MS (60000)
+ *   LOCAL_LLM_URL (ej. http://localhost:11434/v1) · LOCAL_LLM_MODEL
+ *   (llama3.1) · LOCAL_LLM_API_KEY (si el servidor la pide)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const OpenAI = require("openai");
+const { fechaCorta } = require("./cursos");
+
+const PROVIDERS = ["openai", "local", "reglas"];
+const ALIASES = { rules: "reglas", ollama: "local", llamacpp: "local" };
+
+const DEFAULTS = {
+  model: "gpt-4o-mini",
+  localModel: "llama3.1",
+  temperature: 0.2,
+  maxTokens: 700,
+  timeoutMs: 20000,
+  cooldownMs: 60000
+};
+
+const llmError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// Corre fn(signal) con tope de tiempo; al vencer aborta el pedido HTTP
+const withTimeout = (fn, ms) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(llmError(`sin respuesta en ${ms} ms`, "ETIMEDOUT"));
+    }, ms);
+  });
+  return Promise.race([Promise.resolve().then(() => fn(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+};
+
+/*──── Proveedor compatible con la API de OpenAI (OpenAI o servidor local) ────*/
+// client: instancia del SDK (o cualquier objeto con chat.completions.create)
+const createChatProvider = ({ name, client, model, temperature = DEFAULTS.temperature, maxTokens = DEFAULTS.maxTokens }) => ({
+  name,
+  model,
+  complete: async ({ messages, format, signal }) => {
+    const completion = await client.chat.completions.create(
+      {
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+        ...(format === "json" ? { response_format: { type: "json_object" } } : {})
+      },
+      { signal }
+    );
+    const text = (completion.choices?.[0]?.message?.content || "").trim();
+    if (!text) throw llmError("respuesta vacía", "EEMPTY");
+    return text;
+  }
+});
+
+/*──── Proveedor por reglas (solo catálogo) ────*/
+// Misma forma que pide el prompt (micro-plantillas); el link lo agrega
+// el render a partir de link_inscripcion, igual que con el modelo
+const canEnroll = (c) => (c.estado === "inscripcion_abierta" || c.estado === "ultimos_cupos") && !!c.formulario;
+const describeCourse = (c) => {
+  const partes = [`En el curso *${c.titulo}*`];
+  if (c.descripcion_breve) partes[0] += ` (${c.descripcion_breve.replace(/\.$/, "")})`;
+  if (canEnroll(c)) {
+    partes[0] += c.estado === "ultimos_cupos" ? ", ¡quedan pocos cupos! Ya te podés inscribir." : ", ya te podés inscribir.";
+  } else {
+    partes[0] += `, la inscripción aún no está habilitada. El link de inscripción estará disponible el día ${fechaCorta(c.inscripcion_inicio) || "sin fecha confirmada"}.`;
+  }
+  partes.push(`Inicio: ${fechaCorta(c.fecha_inicio) || "sin fecha confirmada"}.`);
+  partes.push(c.localidades && c.localidades.length
+    ? `Sede: ${c.localidades.join(", ")}.`
+    : "Por ahora no hay sedes confirmadas para este curso.");
+  return partes.join(" ");
+};
+
+// Sin cursos exhibibles: la respuesta de la campaña vigente (planificacion_2026);
+// el prompt prohíbe "Por ahora no hay nada confirmado" / "Mantenete atento…"
+const SIN_CURSOS = "En este momento no hay cursos con inscripción abierta o próxima. " +
+  "Vamos a publicar las nuevas fechas y sedes en nuestras redes sociales oficiales apenas estén confirmadas.";
+
+// → { intencion, cursos, link_inscripcion, respuesta } (formato de helpers/answer.js)
+const answerFromCatalog = ({ candidates = [], cursos = [], templates = null }, maxListed) => {
+  const byId = new Map(cursos.map((c) => [String(c.id), c]));
+  const found = candidates.map((r) => byId.get(String(r.id))).filter(Boolean);
+
+  if (!found.length) {
+    if (!cursos.length) {
+      const respuesta = (templates && templates.reply("planificacion_2026")) || SIN_CURSOS;
+      return { intencion: "otra", cursos: [], link_inscripcion: null, respuesta };
+    }
+    const listados = cursos.slice(0, maxListed);
+    const lista = listados.map((c) => `• ${c.titulo}`).join("\n");
+    return {
+      intencion: "listado",
+      cursos: listados.map((c) => c.id),
+      link_inscripcion: null,
+      respuesta: `No encontré un curso que coincida con tu consulta. Estos son los cursos disponibles:\n${lista}\n¿Sobre cuál querés saber más?`
+    };
+  }
+
+  const [first, ...rest] = found;
+  const otros = rest.length ? `\nTambién te puede interesar: ${rest.map((c) => c.titulo).join(", ")}.` : "";
+  return {
+    intencion: "recomendacion",
+    cursos: found.map((c) => c.id),
+    link_inscripcion: canEnroll(first) ? first.id : null,
+    respuesta: describeCourse(first) + otros
+  };
+};
+
+// context: { candidates: [{ id, titulo }], cursos (exhibibles), templates? }
+const createRulesProvider = ({ maxListed = 8 } = {}) => ({
+  name: "reglas",
+  model: null,
+  complete: async ({ context = {}, format }) => {
+    const answer = answerFromCatalog(context, maxListed);
+    if (format === "json") return JSON.stringify(answer);
+    const link = answer.link_inscripcion !== null && context.cursos.find((c) => c.id === answer.link_inscripcion);
+    return link ? `${answer.respuesta}\n\nFormulario de inscripción: ${link.formulario}` : answer.respuesta;
+  }
+});
+
+/*──── Cadena con failover ────*/
+// providers: en orden de preferencia
+const createLLM = ({ providers = [], timeoutMs = DEFAULTS.timeoutMs, cooldownMs = DEFAULTS.cooldownMs, now = Date.now, logger = console } = {}) => {
+  const llm = new EventEmitter();
+  const failedAt = new Map(); // nombre → último fallo
+
+  const inCooldown = (p, t = now()) => failedAt.has(p.name) && t - failedAt.get(p.name) < cooldownMs;
+
+  const available = () => {
+    const t = now();
+    const ok = providers.filter((p) => !inCooldown(p, t));
+    // Si todos están en espera, se prueban igual (mejor un intento que nada)
+    return ok.length ? ok : providers;
+  };
+
+  // → { text, provider, model } · si fallan todos lanza el último error
+  const complete = async ({ messages, context, format } = {}) => {
+    if (!providers.length) throw llmError("no hay proveedores de modelo configurados", "ENOPROVIDER");
+    const chain = available();
+    let lastError = null;
+
+    for (const [i, provider] of chain.entries()) {
+      try {
+        const text = await withTimeout((signal) => provider.complete({ messages, context, format, signal }), timeoutMs);
+        failedAt.delete(provider.name);
+        return { text, provider: provider.name, model: provider.model };
+      } catch (err) {
+        lastError = err;
+        failedAt.set(provider.name, now());
+        llm.emit("failure", { provider: provider.name, error: err });
+        const next = chain[i + 1];
+        logger.warn(`⚠️  Modelo "${provider.name}" falló (${err.message})` + (next ? ` → sigo con "${next.name}"` : ""));
+        if (next) llm.emit("failover", { from: provider.name, to: next.name });
+      }
+    }
+    throw lastError;
+  };
+
+  llm.complete = complete;
+  llm.providers = () => providers.map((p) => ({ name: p.name, model: p.model, enEspera: inCooldown(p) }));
+  return llm;
+};
+
+const numberOr = (value, fallback) => (value !== undefined && value !== "" && Number.isFinite(Number(value)) ? Number(value) : fallback);
+const providerName = (value) => {
+  const name = String(value || "").trim().toLowerCase();
+  return ALIASES[name] || name;
+};
+
+// Arma la cadena desde .env. `openai`: cliente ya creado (o null si no hay clave)
+const createLLMFromEnv = ({ env = process.env, openai = null, logger = console } = {}) => {
+  const temperature = numberOr(env.LLM_TEMPERATURE, DEFAULTS.temperature);
+  const maxTokens = numberOr(env.LLM_MAX_TOKENS, DEFAULTS.maxTokens);
+  const localUrl = (env.LOCAL_LLM_URL || "").trim();
+
+  const primary = providerName(env.LLM_PROVIDER) || (openai ? "openai" : localUrl ? "local" : "reglas");
+  const fallback = env.LLM_FALLBACK === undefined || env.LLM_FALLBACK === ""
+    ? [localUrl ? "local" : null, "reglas"].filter(Boolean)
+    : /^(none|ninguno)$/i.test(env.LLM_FALLBACK.trim()) ? [] : env.LLM_FALLBACK.split(",").map(providerName).filter(Boolean);
+
+  const skip = (reason) => {
+    logger.warn(`⚠️  LLM: ${reason}`);
+    return null;
+  };
+
+  const build = (name) => {
+    if (name === "openai") {
+      if (!openai) return skip("proveedor openai sin OPENAI_API_KEY, se omite");
+      return createChatProvider({ name, client: openai, model: env.LLM_MODEL || DEFAULTS.model, temperature, maxTokens });
+    }
+    if (name === "local") {
+      if (!localUrl) return skip("proveedor local sin LOCAL_LLM_URL, se omite");
+      const client = new OpenAI({ baseURL: localUrl, apiKey: env.LOCAL_LLM_API_KEY || "local", maxRetries: 0 });
+      return createChatProvider({ name, client, model: env.LOCAL_LLM_MODEL || DEFAULTS.localModel, temperature, maxTokens });
+    }
+    if (name === "reglas") return createRulesProvider();
+    return skip(`proveedor desconocido "${name}" (válidos: ${PROVIDERS.join(", ")})`);
+  };
+
+  const names = [primary, ...fallback].filter((name, i, all) => all.indexOf(name) === i);
+  const providers = names.map(build).filter(Boolean);
+  logger.log(`🧠 Modelo: ${providers.map((p) => (p.model ? `${p.name} (${p.model})` : p.name)).join(" → ") || "ninguno"}`);
+
+  return createLLM({
+    providers,
+    timeoutMs: numberOr(env.LLM_TIMEOUT_MS, DEFAULTS.timeoutMs),
+    cooldownMs: numberOr(env.LLM_COOLDOWN_MS, DEFAULTS.cooldownMs),
+    logger
+  });
+};
+
+module.exports = {
+  PROVIDERS,
+  withTimeout,
+  createChatProvider,
+  createRulesProvider,
+  createLLM,
+  createLLMFromEnv
+};
@@ -0,0 +1,244 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/media.js – Archivos para /send-media (URL o subida multipart)
+ * - Tamaño máximo: MEDIA_MAX_MB (default 16).
+ * - El tipo se detecta por los primeros bytes (no se confía en el
+ *   content-type remoto ni en la extensión) y debe estar en ALLOWED_MIME.
+ * - URLs: solo http/https, sin redirecciones hacia direcciones privadas,
+ *   loopback, link-local o reservadas (la IP se controla al conectar, así
+ *   un DNS que cambia de respuesta tampoco la saltea). Las IPv6 con una
+ *   IPv4 adentro (mapeada, compatible, NAT64, 6to4) se juzgan por esa IPv4.
+ * - La descarga entera (redirecciones y cuerpo) tiene un tope de tiempo.
+ * Los errores llevan `status` (400/403/413/415/502/504) para la respuesta.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const dns   = require("dns");
+const http  = require("http");
+const https = require("https");
+const net   = require("net");
+const path  = require("path");
+const axios = require("axios");
+const mime  = require("mime-types");
+
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 3;
+
+const ALLOWED_MIME = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "audio/ogg",
+  "audio/mpeg",
+  "video/mp4"
+]);
+
+const maxBytes = (env = process.env) => {
+  const mb = Number(env.MEDIA_MAX_MB);
+  return Number.isFinite(mb) && mb > 0 ? Math.floor(mb * 1024 * 1024) : DEFAULT_MAX_BYTES;
+};
+
+const mediaError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Tipo real según la firma del archivo, o null
+const sniffMime = (buf) => {
+  if (!buf || buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString("latin1", start, end);
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (ascii(0, 3) === "ID3" || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  if (ascii(4, 8) === "ftyp") return "video/mp4";
+  return null;
+};
+
+/* ===== Direcciones bloqueadas (SSRF) ===== */
+const ipv4ToInt = (ip) => ip.split(".").reduce((acc, n) => (acc << 8) + Number(n), 0) >>> 0;
+
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].map(([base, bits]) => ({ base: ipv4ToInt(base), mask: bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0 }));
+
+// IPv6 → 16 bytes (acepta "::" y la forma con IPv4 al final)
+const ipv6ToBytes = (ip) => {
+  let text = ip.toLowerCase().replace(/%.*$/, "");
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const n = ipv4ToInt(dotted[2]);
+    text = dotted[1] + ((n >>> 16).toString(16)) + ":" + ((n & 0xffff).toString(16));
+  }
+  const [head, tail] = text.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill("0"), ...right];
+  return groups.flatMap((g) => {
+    const n = parseInt(g, 16);
+    return [n >> 8, n & 0xff];
+  });
+};
+
+const startsWith = (bytes, prefix) => prefix.every((b, i) => bytes[i] === b);
+const v4At = (bytes, i) => bytes.slice(i, i + 4).join(".");
+const ZERO_80 = Array(10).fill(0);
+
+const isBlockedAddress = (ip) => {
+  const family = net.isIP(ip);
+  if (family === 4) {
+    const n = ipv4ToInt(ip);
+    return BLOCKED_V4.some(({ base, mask }) => ((n & mask) >>> 0) === base);
+  }
+  if (family === 6) {
+    const b = ipv6ToBytes(ip);
+    // IPv4 embebida: se juzga por la IPv4 (::ffff:7f00:1 = 127.0.0.1)
+    if (startsWith(b, [...ZERO_80, 0xff, 0xff])) return isBlockedAddress(v4At(b, 12));  // ::ffff:0:0/96 mapeada
+    if (startsWith(b, [...ZERO_80, 0, 0])) return isBlockedAddress(v4At(b, 12));        // ::/96 compatible (incluye :: y ::1)
+    if (startsWith(b, [0, 0x64, 0xff, 0x9b, ...ZERO_80.slice(0, 8)])) return isBlockedAddress(v4At(b, 12)); // 64:ff9b::/96 NAT64
+    if (startsWith(b, [0x20, 0x02])) return isBlockedAddress(v4At(b, 2));               // 2002::/16 6to4
+    return startsWith(b, [0, 0x64, 0xff, 0x9b, 0, 0x01]) || // 64:ff9b:1::/48 NAT64 local
+      startsWith(b, [0x20, 0x01, 0, 0]) ||                  // 2001::/32 Teredo
+      (b[0] & 0xfe) === 0xfc ||                             // fc00::/7 únicas locales
+      (b[0] === 0xfe && (b[1] & 0x80) !== 0) ||             // fe80::/10 link-local, fec0::/10 site-local
+      b[0] === 0xff;                                        // multicast
+  }
+  return true;
+};
+
+// lookup para los agentes HTTP: falla si el nombre resuelve a una IP bloqueada
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find((a) => isBlockedAddress(a.address));
+    if (blocked) return callback(mediaError(403, `Blocked address for ${hostname}: ${blocked.address}`));
+    callback(null, address, family);
+  });
+};
+
+const httpAgent  = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+const checkUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (_e) {
+    throw mediaError(400, "Invalid file URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw mediaError(400, "Only http and https URLs are allowed");
+  if (url.username || url.password) throw mediaError(400, "URLs with credentials are not allowed");
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlockedAddress(host)) throw mediaError(403, `Blocked address: ${host}`);
+  if (/^localhost$|\.localhost$/i.test(host)) throw mediaError(403, `Blocked address: ${host}`);
+  return url;
+};
+
+// Lee el cuerpo cortando apenas supera el máximo o el tiempo total
+const readLimited = (stream, limit, timeoutMs = FETCH_TIMEOUT_MS) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const fail = (err) => {
+    clearTimeout(timer);
+    stream.destroy();
+    reject(err);
+  };
+  const timer = setTimeout(() => fail(mediaError(504, "Timed out fetching the file")), timeoutMs);
+  stream.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      fail(mediaError(413, `File is larger than ${Math.round(limit / 1024 / 1024)} MB`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on("end", () => {
+    clearTimeout(timer);
+    resolve(Buffer.concat(chunks));
+  });
+  stream.on("error", (err) => {
+    clearTimeout(timer);
+    reject(err);
+  });
+});
+
+// Descarga validando cada salto de redirección → { data, filename }
+// timeoutMs: tope para toda la descarga (conexión, redirecciones y cuerpo)
+const fetchRemote = async (value, { limit = maxBytes(), timeoutMs = FETCH_TIMEOUT_MS } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  let url = checkUrl(value);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let response;
+    try {
+      response = await axios.get(url.href, {
+        responseType: "stream",
+        timeout: Math.max(deadline - Date.now(), 1),
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true
+      });
+    } catch (err) {
+      if (err.status) throw err;
+      if (err.code === "ECONNABORTED") throw mediaError(504, "Timed out fetching the file");
+      throw mediaError(502, `Could not fetch the file: ${err.message}`);
+    }
+
+    const { status, headers, data } = response;
+    if (status >= 300 && status < 400 && headers.location) {
+      data.destroy();
+      url = checkUrl(new URL(headers.location, url).href);
+      continue;
+    }
+    if (status !== 200) {
+      data.destroy();
+      throw mediaError(502, `The file URL answered ${status}`);
+    }
+    if (Number(headers["content-length"]) > limit) {
+      data.destroy();
+      throw mediaError(413, `File is larger than ${Math.round(limit / 1024 / 1024)} MB`);
+    }
+    return { data: await readLimited(data, limit, Math.max(deadline - Date.now(), 1)), filename: path.basename(url.pathname) || "media" };
+  }
+  throw mediaError(502, "Too many redirects");
+};
+
+// Buffer → { mimetype, base64, filename } o error 415
+const inspectMedia = (data, filename = "media") => {
+  const mimetype = sniffMime(data);
+  if (!mimetype || !ALLOWED_MIME.has(mimetype)) {
+    throw mediaError(415, `Unsupported file type, allowed: ${[...ALLOWED_MIME].join(", ")}`);
+  }
+  const ext = mime.extension(mimetype);
+  const base = path.basename(filename).replace(/[^\w.-]+/g, "_").replace(/\.[^.]*$/, "") || "media";
+  return { mimetype, base64: data.toString("base64"), filename: `${base}.${ext}` };
+};
+
+// Archivo subido con express-fileupload (limits.fileSize marca truncated)
+const readUpload = (file, { limit = maxBytes() } = {}) => {
+  if (file.truncated || file.size > limit) {
+    throw mediaError(413, `File is larger than ${Math.round(limit / 1024 / 1024)} MB`);
+  }
+  return inspectMedia(file.data, file.name);
+};
+
+module.exports = {
+  ALLOWED_MIME,
+  maxBytes,
+  sniffMime,
+  isBlockedAddress,
+  readLimited,
+  fetchRemote,
+  inspectMedia,
+  readUpload
+};
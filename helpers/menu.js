@@ -0,0 +1,211 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/menu.js – Menú numerado para recorrer los cursos sin el modelo
+ * "menu" / "menú" / "0" muestra el inicio:
+ *   1 Cursos por localidad → localidades → cursos → datos del curso
+ *   2 Requisitos de un curso → cursos → requisitos
+ *   3 Inscripción a un curso → cursos → link o fecha de apertura
+ *   4 Hablar con una persona → modo humano (lo abre quien llama)
+ * Responder con un número avanza; todo sale de la ficha estructurada
+ * (solo cursos exhibibles). El paso actual se guarda en la memoria del
+ * chat (state.menu) con las opciones ya numeradas, así una recarga del
+ * catálogo no cambia qué significa cada número a mitad de camino.
+ * Cualquier texto que no sea una opción cierra el menú y sigue al
+ * asistente (handle → null).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize, fechaCorta } = require("./cursos");
+const { render } = require("./templates");
+const { OPEN_STATES } = require("./waitlist");
+const { courseCard } = require("./flyers");
+
+const MENU_RE = /^(menu|menu principal|0)$/;
+const OPTION_RE = /^\d{1,2}$/;
+const SIN_SEDE = "Sin sede confirmada";
+
+const INICIO = [
+  { label: "Ver cursos por localidad", next: "localidades" },
+  { label: "Requisitos de un curso", next: "cursos", accion: "requisitos" },
+  { label: "Inscripción a un curso", next: "cursos", accion: "inscripcion" },
+  { label: "Hablar con una persona", next: "persona" }
+];
+
+const CAMPOS = [
+  { label: "Fechas y horarios", accion: "fechas" },
+  { label: "Sede y dirección", accion: "sede" },
+  { label: "Requisitos y materiales", accion: "requisitos" },
+  { label: "Inscripción", accion: "inscripcion" },
+  { label: "Ficha completa (con flyer)", accion: "ficha" }
+];
+
+const numbered = (labels) => labels.map((label, i) => `${i + 1}. ${label}`).join("\n");
+const PIE = "0. Menú principal\n(O escribime tu consulta cuando quieras.)";
+
+const lista = (value) => (Array.isArray(value) ? value.filter(Boolean).join(", ") : value || "");
+
+/*──── Respuestas por campo (desde la ficha) ────*/
+const fechas = (c) => [
+  `En el curso *${c.titulo}*:`,
+  `📅 Inicio: ${fechaCorta(c.fecha_inicio) || "sin fecha confirmada"}` + (fechaCorta(c.fecha_fin) ? ` · Fin: ${fechaCorta(c.fecha_fin)}` : ""),
+  `🕒 Días y horarios: ${lista(c.dias_horarios) || "sin horario publicado"}`,
+  `⏳ Duración: ${c.duracion_total || "no está publicada"}`
+].join("\n");
+
+const sede = (c) => (c.localidades && c.localidades.length
+  ? `En el curso *${c.titulo}*, la sede es ${lista(c.localidades)}` + (c.direcciones && c.direcciones.length ? ` (${lista(c.direcciones)}).` : ".")
+  : `En el curso *${c.titulo}*, por ahora no hay sedes confirmadas.`);
+
+const requisitos = (c) => {
+  const r = c.requisitos || {};
+  const items = [
+    r.mayor_18 && "Ser mayor de 18 años",
+    r.primaria_completa && "Primaria completa",
+    r.secundaria_completa && "Secundaria completa",
+    r.carnet_conducir && "Carnet de conducir",
+    ...(r.otros || [])
+  ].filter(Boolean);
+  const materiales = (c.materiales && c.materiales.aporta_estudiante) || [];
+  const lineas = [items.length
+    ? `En el curso *${c.titulo}*, los requisitos son:\n${items.map((x) => `• ${x}`).join("\n")}`
+    : `En el curso *${c.titulo}*, no hay requisitos publicados.`];
+  if (materiales.length) lineas.push(`Materiales que aporta cada estudiante: ${lista(materiales)}.`);
+  return lineas.join("\n");
+};
+
+const inscripcion = (c) => {
+  if (OPEN_STATES.has(c.estado) && c.formulario) {
+    const pocos = c.estado === "ultimos_cupos" ? " ¡quedan pocos cupos!" : "";
+    return `En el curso *${c.titulo}*,${pocos} te podés inscribir acá: ${c.formulario}`;
+  }
+  const abre = fechaCorta(c.inscripcion_inicio);
+  return `En el curso *${c.titulo}*, la inscripción aún no está habilitada. ` +
+    (abre ? `El link de inscripción estará disponible el ${abre}.` : "Todavía no hay fecha confirmada para la inscripción.");
+};
+
+const RESPUESTAS = { fechas, sede, requisitos, inscripcion };
+
+// templates: createTemplateStore (texto del inicio: templates/respuestas/menu.md)
+const createMenu = ({ templates } = {}) => {
+  const respuesta = (name, fallback, vars = {}) => (templates && templates.reply(name, vars)) || render(fallback, vars);
+
+  const inicio = (state) => {
+    state.menu = { paso: "inicio" };
+    const encabezado = respuesta("menu", "*Menú de cursos* – respondé con el número de la opción:");
+    return { reply: `${encabezado}\n${numbered(INICIO.map((o) => o.label))}\n${PIE}`, via: "menu" };
+  };
+
+  // Localidades con algún curso exhibible (los sin sede van aparte al final)
+  const localidades = (cursos) => {
+    const todas = new Set(cursos.flatMap((c) => (c.localidades && c.localidades.length ? c.localidades : [SIN_SEDE])));
+    return [...todas].sort((a, b) => (a === SIN_SEDE) - (b === SIN_SEDE) || a.localeCompare(b, "es"));
+  };
+
+  const listaCursos = (state, cursos, { accion, localidad = null }) => {
+    if (!cursos.length) {
+      state.menu = null;
+      // Sin localidad: la respuesta de campaña (el prompt prohíbe "Mantenete atento a las novedades")
+      const sinCursos = (!localidad && templates && templates.reply("planificacion_2026")) ||
+        `En este momento no hay cursos con inscripción abierta o próxima${localidad ? ` en ${localidad}` : ""}.`;
+      return { reply: `${sinCursos}\n${PIE}`, via: "menu" };
+    }
+    state.menu = { paso: "cursos", accion, localidad, opciones: cursos.map((c) => c.id) };
+    const titulo = localidad ? `Cursos en *${localidad}*` : "¿De qué curso?";
+    return { reply: `${titulo} – respondé con el número:\n${numbered(cursos.map((c) => c.titulo))}\n${PIE}`, via: "menu" };
+  };
+
+  const opcionesCampos = (curso) => `*${curso.titulo}* – ¿qué querés saber?\n${numbered(CAMPOS.map((o) => o.label))}\n${PIE}`;
+
+  const campos = (state, curso) => {
+    state.menu = { paso: "campos", curso: curso.id };
+    return { reply: opcionesCampos(curso), via: "menu" };
+  };
+
+  // Respuesta del dato pedido; el menú queda en el mismo curso para otra consulta
+  const dato = (state, curso, accion) => {
+    state.lastCourse = { id: curso.id, titulo: curso.titulo };
+    if (OPEN_STATES.has(curso.estado) && curso.formulario) {
+      state.lastSuggestedCourse = { id: curso.id, titulo: curso.titulo, formulario: curso.formulario };
+    }
+    const cursos = [{ id: curso.id, titulo: curso.titulo }];
+    state.menu = { paso: "campos", curso: curso.id };
+    if (accion === "ficha") {
+      return { reply: courseCard(curso), via: "menu", flyer: { id: curso.id, titulo: curso.titulo, imagen: curso.imagen }, cursos };
+    }
+    return { reply: `${RESPUESTAS[accion](curso)}\n\n${opcionesCampos(curso)}`, via: "menu", cursos };
+  };
+
+  const invalida = (reply) => ({ reply: `No tengo esa opción. ${reply}`, via: "menu" });
+
+  // → { reply, via: "menu", cursos?, flyer?, handoff? } o null (no es del menú)
+  // cursos: los exhibibles del turno
+  const handle = (text, state, { cursos = [] } = {}) => {
+    const t = normalize(text);
+    if (MENU_RE.test(t)) return inicio(state);
+    const menu = state.menu;
+    if (!menu) return null;
+    if (!OPTION_RE.test(t)) {
+      // Texto libre: se sale del menú y responde el asistente
+      state.menu = null;
+      return null;
+    }
+
+    const n = Number(t);
+    const byId = new Map(cursos.map((c) => [String(c.id), c]));
+
+    if (menu.paso === "inicio") {
+      const opcion = INICIO[n - 1];
+      if (!opcion) return invalida(inicio(state).reply);
+      if (opcion.next === "persona") {
+        state.menu = null;
+        return { reply: null, via: "menu", handoff: true };
+      }
+      if (opcion.next === "localidades") {
+        const opciones = localidades(cursos);
+        if (!opciones.length) return listaCursos(state, [], {});
+        state.menu = { paso: "localidades", opciones };
+        return { reply: `¿En qué localidad? – respondé con el número:\n${numbered(opciones)}\n${PIE}`, via: "menu" };
+      }
+      return listaCursos(state, cursos, { accion: opcion.accion });
+    }
+
+    if (menu.paso === "localidades") {
+      const localidad = menu.opciones[n - 1];
+      if (!localidad) return invalida(`Elegí un número del 1 al ${menu.opciones.length}, o 0 para el menú principal.`);
+      const enLocalidad = cursos.filter((c) =>
+        localidad === SIN_SEDE ? !(c.localidades && c.localidades.length) : (c.localidades || []).includes(localidad));
+      return listaCursos(state, enLocalidad, { accion: "campos", localidad });
+    }
+
+    if (menu.paso === "cursos") {
+      const id = menu.opciones[n - 1];
+      if (id === undefined) return invalida(`Elegí un número del 1 al ${menu.opciones.length}, o 0 para el menú principal.`);
+      const curso = byId.get(String(id));
+      if (!curso) {
+        state.menu = null;
+        return { reply: `Ese curso ya no está disponible.\n${PIE}`, via: "menu" };
+      }
+      return menu.accion === "campos" ? campos(state, curso) : dato(state, curso, menu.accion);
+    }
+
+    if (menu.paso === "campos") {
+      const curso = byId.get(String(menu.curso));
+      if (!curso) {
+        state.menu = null;
+        return { reply: `Ese curso ya no está disponible.\n${PIE}`, via: "menu" };
+      }
+      const opcion = CAMPOS[n - 1];
+      if (!opcion) return invalida(`Elegí un número del 1 al ${CAMPOS.length}, o 0 para el menú principal.`);
+      return dato(state, curso, opcion.accion);
+    }
+
+    state.menu = null;
+    return null;
+  };
+
+  return { handle };
+};
+
+module.exports = {
+  createMenu
+};
@@ -0,0 +1,61 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/optout.js – Números que pidieron no recibir más difusiones
+ * El usuario escribe "BAJA" (o "ALTA" para volver a recibirlas).
+ * Las campañas omiten estos números automáticamente.
+ * Persistencia: { [chatId]: { since } }
+ *──────────────────────────────────────────────────────────────────────*/
+
+const path = require("path");
+const { normalize } = require("./cursos");
+const { readJson, writeJson } = require("./files");
+
+const wantsOptOut = (text) => /^(dar(me)? de )?baja[.!]*$/.test(normalize(text));
+const wantsOptIn  = (text) => /^(dar(me)? de )?alta[.!]*$/.test(normalize(text));
+
+const createOptOutList = ({ file, logger = console } = {}) => {
+  const filePath = path.resolve(file);
+  let entries = {};
+
+  try {
+    entries = readJson(filePath, {});
+  } catch (e) {
+    logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+  }
+
+  const persist = () => {
+    try {
+      writeJson(filePath, entries);
+    } catch (e) {
+      logger.warn(`⚠️  No se pudieron guardar las bajas: ${e.message}`);
+    }
+  };
+
+  const has = (chatId) => Object.prototype.hasOwnProperty.call(entries, chatId);
+
+  // → true si el número no estaba dado de baja
+  const add = (chatId) => {
+    if (has(chatId)) return false;
+    entries[chatId] = { since: new Date().toISOString() };
+    persist();
+    return true;
+  };
+
+  const remove = (chatId) => {
+    if (!has(chatId)) return false;
+    delete entries[chatId];
+    persist();
+    return true;
+  };
+
+  const list = () => Object.entries(entries).map(([chatId, e]) => ({ chatId, ...e }));
+
+  return { has, add, remove, list };
+};
+
+module.exports = {
+  wantsOptOut,
+  wantsOptIn,
+  createOptOutList
+};
@@ -0,0 +1,323 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/outbox.js – Cola persistente de mensajes salientes
+ * Todo envío (respuestas de Camila, operador, avisos, campañas y API REST)
+ * pasa por acá, así un corte de WhatsApp no pierde mensajes:
+ * - Se envía en orden dentro de cada chat: un mensaje espera mientras haya
+ *   uno anterior pendiente para el mismo chat (aunque esté esperando su
+ *   reintento); chats distintos no se frenan entre sí. Si el cliente no
+ *   está listo o falla, se reintenta con espera creciente (2 s, 4 s, 8 s…
+ *   hasta 5 min) hasta MAX_ATTEMPTS.
+ *   Un envío que no responde en SEND_TIMEOUT_MS cuenta como fallido y se
+ *   reintenta (si WhatsApp lo terminó mandando igual, puede llegar dos veces;
+ *   es preferible a que un envío colgado frene toda la cola).
+ * - idempotencyKey: el mismo pedido repetido devuelve el mensaje original.
+ * - sender: sesión de WhatsApp que envía (wa-sessions.js, "default").
+ * - ack(): guarda las confirmaciones de WhatsApp (message_ack).
+ * Estados: pendiente | enviado | fallido
+ * Eventos: "sent" (registro), "failed" (registro)
+ * Persistencia: { messages: { [id]: registro } } · los adjuntos van aparte
+ * (outbox-media/<id>, junto al archivo) y se borran al enviar o descartar.
+ * Los terminados se guardan RETENTION_MS (estado e idempotencia).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const fs   = require("fs");
+const path = require("path");
+const { readJson, writeJson, writeFileAtomic } = require("./files");
+const { withTimeout } = require("./llm");
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const SEND_TIMEOUT_MS = 60 * 1000;
+const FLUSH_DELAY_MS = 500;
+const NOT_READY_MS = 10 * 1000;
+const DEFAULT_SENDER = "default";
+
+// message_ack de whatsapp-web.js
+const ACK_NAMES = { "-1": "error", 0: "pendiente", 1: "servidor", 2: "entregado", 3: "leido", 4: "reproducido" };
+
+const backoff = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_DELAY_MS);
+
+// Vista pública del registro (sin el adjunto)
+const statusOf = (m) => {
+  const { media, ...rest } = m;
+  return { ...rest, ...(media ? { media: { mimetype: media.mimetype, filename: media.filename } } : {}) };
+};
+
+// send(registro) → promesa con el mensaje de WhatsApp
+// canSend(registro) → la sesión que lo envía (registro.sender) está lista
+const createOutbox = ({ file, send, canSend = () => true, maxAttempts = MAX_ATTEMPTS, sendTimeoutMs = SEND_TIMEOUT_MS, now = Date.now, logger = console } = {}) => {
+  const outbox = new EventEmitter();
+  const filePath = path.resolve(file);
+  const mediaDir = path.join(path.dirname(filePath), "outbox-media");
+  const waiting = new Map(); // id → [{ resolve, reject }]
+  let messages = {};
+  let timer = null;
+  let flushTimer = null;
+  let draining = false;
+
+  try {
+    messages = readJson(filePath, { messages: {} }).messages || {};
+  } catch (e) {
+    logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+  }
+
+  /*──── Adjuntos (base64) fuera del JSON ────*/
+  const mediaFile = (id) => path.join(mediaDir, id);
+
+  const saveMedia = (id, data) => writeFileAtomic(mediaFile(id), data);
+
+  const loadMedia = async (id) => {
+    try {
+      return await fs.promises.readFile(mediaFile(id), "utf-8");
+    } catch (_e) {
+      return null;
+    }
+  };
+
+  const dropMedia = (m) => {
+    if (!m.media) return;
+    delete m.media;
+    fs.rm(mediaFile(m.id), { force: true }, () => {});
+  };
+
+  // Registros viejos con el adjunto adentro → archivo aparte; adjuntos huérfanos → afuera
+  let migrated = false;
+  for (const m of Object.values(messages)) {
+    if (!m.media || !m.media.data) continue;
+    if (m.estado === "pendiente") {
+      saveMedia(m.id, m.media.data);
+      m.media = { mimetype: m.media.mimetype, filename: m.media.filename };
+    } else {
+      delete m.media;
+    }
+    migrated = true;
+  }
+  try {
+    fs.readdirSync(mediaDir)
+      .filter((id) => !(messages[id] && messages[id].estado === "pendiente" && messages[id].media))
+      .forEach((id) => fs.rmSync(mediaFile(id), { force: true }));
+  } catch (_e) {
+    // sin carpeta de adjuntos todavía
+  }
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    try {
+      writeJson(filePath, { messages });
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo guardar la cola de salida: ${e.message}`);
+    }
+  };
+
+  const persist = () => {
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  };
+
+  const failure = (m) => Object.assign(new Error(m.lastError || "Message failed"), { status: 502, messageId: m.id });
+
+  const settle = (m) => {
+    (waiting.get(m.id) || []).forEach(({ resolve, reject }) => (m.estado === "enviado" ? resolve(statusOf(m)) : reject(failure(m))));
+    waiting.delete(m.id);
+  };
+
+  // Pendientes que encabezan su chat (el de menor seq por sender + chatId)
+  const chatKey = (m) => `${m.sender}|${m.chatId}`;
+  const heads = () => {
+    const first = new Map();
+    Object.values(messages).forEach((m) => {
+      if (m.estado !== "pendiente") return;
+      const current = first.get(chatKey(m));
+      if (!current || m.seq < current.seq) first.set(chatKey(m), m);
+    });
+    return [...first.values()];
+  };
+
+  // Próximo despertar: el reintento más cercano (sin WhatsApp listo, se
+  // vuelve a mirar cada NOT_READY_MS o al llamar kick())
+  const schedule = () => {
+    clearTimeout(timer);
+    const pendientes = heads();
+    if (!pendientes.length) return;
+    const next = pendientes
+      .filter((m) => canSend(m))
+      .reduce((min, m) => Math.min(min, m.nextAttemptAt || 0), Infinity);
+    timer = setTimeout(drain, next === Infinity ? NOT_READY_MS : Math.max(0, next - now()));
+    timer.unref();
+  };
+
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    try {
+      for (;;) {
+        const m = heads()
+          .filter((x) => (x.nextAttemptAt || 0) <= now() && canSend(x))
+          .sort((a, b) => a.seq - b.seq)[0];
+        if (!m) break;
+
+        m.attempts++;
+        try {
+          let record = m;
+          if (m.media) {
+            const data = await loadMedia(m.id);
+            if (!data) throw Object.assign(new Error("Media file is missing"), { permanent: true });
+            record = { ...m, media: { ...m.media, data } };
+          }
+          const sent = await withTimeout(() => send(record), sendTimeoutMs);
+          m.estado = "enviado";
+          m.sentAt = new Date(now()).toISOString();
+          m.waId = sent && sent.id ? sent.id._serialized : null;
+          m.ack = sent && typeof sent.ack === "number" ? sent.ack : 0;
+          m.ackName = ACK_NAMES[m.ack];
+          dropMedia(m);
+          delete m.lastError;
+          outbox.emit("sent", statusOf(m));
+        } catch (err) {
+          m.lastError = err.message;
+          if (err.permanent || m.attempts >= maxAttempts) {
+            m.estado = "fallido";
+            dropMedia(m);
+            logger.error(`❌ Mensaje ${m.id} a ${m.chatId} descartado tras ${m.attempts} intentos: ${err.message}`);
+            outbox.emit("failed", statusOf(m));
+          } else {
+            if (err.code === "ETIMEDOUT") logger.warn(`⚠️  Envío ${m.id} a ${m.chatId} sin respuesta en ${sendTimeoutMs} ms, se reintenta`);
+            m.nextAttemptAt = now() + backoff(m.attempts);
+          }
+        }
+        persist();
+        if (m.estado !== "pendiente") settle(m);
+      }
+    } finally {
+      draining = false;
+      schedule();
+    }
+  };
+
+  let seq = Object.values(messages).reduce((max, m) => Math.max(max, m.seq || 0), 0);
+
+  // content: texto o { media: { mimetype, data, filename } }
+  // → { message, duplicate } (duplicate: misma idempotencyKey ya recibida)
+  outbox.enqueue = ({ sender = DEFAULT_SENDER, chatId, content, options = {}, idempotencyKey = null, source = "api" }) => {
+    const existing = outbox.byIdempotencyKey(idempotencyKey);
+    if (existing) return { message: existing, duplicate: true };
+    const id = crypto.randomBytes(8).toString("hex");
+    if (typeof content !== "string") saveMedia(id, content.media.data);
+    const m = {
+      id,
+      seq: ++seq,
+      sender,
+      chatId,
+      source,
+      idempotencyKey,
+      ...(typeof content === "string" ? { body: content } : { media: { mimetype: content.media.mimetype, filename: content.media.filename } }),
+      options,
+      estado: "pendiente",
+      attempts: 0,
+      nextAttemptAt: 0,
+      createdAt: new Date(now()).toISOString()
+    };
+    messages[id] = m;
+    persist();
+    setImmediate(drain);
+    return { message: statusOf(m), duplicate: false };
+  };
+
+  // Promesa que se cumple al enviarse (o se rechaza si se descarta)
+  outbox.whenSent = (id) => new Promise((resolve, reject) => {
+    const m = messages[id];
+    if (!m) return reject(Object.assign(new Error("Message not found: " + id), { status: 404 }));
+    if (m.estado === "enviado") return resolve(statusOf(m));
+    if (m.estado === "fallido") return reject(failure(m));
+    waiting.set(id, [...(waiting.get(id) || []), { resolve, reject }]);
+  });
+
+  // Espera hasta `timeoutMs`; si sigue pendiente devuelve el estado actual
+  outbox.waitFor = (id, timeoutMs) => new Promise((resolve, reject) => {
+    const t = setTimeout(() => resolve(outbox.status(id)), timeoutMs);
+    outbox.whenSent(id)
+      .then(resolve, reject)
+      .finally(() => clearTimeout(t));
+  });
+
+  // Envío de Camila / operador / avisos: encola y espera el resultado
+  outbox.send = (message) => outbox.whenSent(outbox.enqueue(message).message.id);
+
+  outbox.status = (id) => (messages[id] ? statusOf(messages[id]) : null);
+
+  outbox.byIdempotencyKey = (key) => {
+    const m = key ? Object.values(messages).find((x) => x.idempotencyKey === key) : null;
+    return m ? statusOf(m) : null;
+  };
+
+  // Confirmación de WhatsApp para el mensaje con ese id serializado
+  outbox.ack = (waId, ack) => {
+    const m = Object.values(messages).find((x) => x.waId === waId);
+    if (!m || (typeof m.ack === "number" && ack < m.ack && ack !== -1)) return null;
+    m.ack = ack;
+    m.ackName = ACK_NAMES[ack] || String(ack);
+    const ts = new Date(now()).toISOString();
+    if (ack >= 2 && !m.deliveredAt) m.deliveredAt = ts;
+    if (ack >= 3 && !m.readAt) m.readAt = ts;
+    persist();
+    return statusOf(m);
+  };
+
+  // Retoma la cola (p. ej. al conectarse WhatsApp): los reintentos vencen ya
+  outbox.kick = () => {
+    Object.values(messages).forEach((m) => {
+      if (m.estado === "pendiente") m.nextAttemptAt = 0;
+    });
+    drain();
+  };
+
+  // Borra los terminados hace más de RETENTION_MS
+  outbox.sweep = () => {
+    let removed = 0;
+    for (const m of Object.values(messages)) {
+      const done = m.sentAt || (m.estado === "fallido" && m.createdAt);
+      if (m.estado !== "pendiente" && done && now() - Date.parse(done) > RETENTION_MS) {
+        delete messages[m.id];
+        removed++;
+      }
+    }
+    if (removed) persist();
+    return removed;
+  };
+
+  // Descarta los pendientes que cumplan `filter` (p. ej. los de una sesión borrada)
+  outbox.discard = (filter, reason) => {
+    const discarded = Object.values(messages).filter((m) => m.estado === "pendiente" && filter(m));
+    discarded.forEach((m) => {
+      m.estado = "fallido";
+      m.lastError = reason;
+      dropMedia(m);
+      outbox.emit("failed", statusOf(m));
+      settle(m);
+    });
+    if (discarded.length) persist();
+    return discarded.length;
+  };
+
+  outbox.pending = () => Object.values(messages).filter((m) => m.estado === "pendiente").length;
+
+  outbox.close = () => {
+    clearTimeout(timer);
+    if (flushTimer) flush();
+  };
+
+  if (migrated) flush();
+  schedule();
+  return outbox;
+};
+
+module.exports = {
+  ACK_NAMES,
+  createOutbox
+};
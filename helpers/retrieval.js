@@ -0,0 +1,282 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/retrieval.js – Búsqueda de cursos por significado (no solo título)
+ * - Índice BM25 local sobre título (con más peso), descripciones,
+ *   actividades y localidades. Las palabras se reducen a una raíz
+ *   ("peluquería"/"peluquero" → "peluqu") y las que no están en el índice
+ *   se buscan con tolerancia a errores de tipeo (distancia de edición).
+ * - SINONIMOS agrega términos del rubro ("pelo" → peluquería, barbería).
+ * - cobertura: fracción del título que aparece en el mensaje (0..1); con
+ *   DIRECT_COVERAGE o más se considera mención directa (filtro duro).
+ * - Embeddings opcionales: embed(textos) → vectores; los de cada curso se
+ *   guardan en `cacheFile` por hash del texto, así no se recalculan.
+ * El índice se arma una vez por instantánea del catálogo (array de cursos).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const path = require("path");
+const { normalize } = require("./cursos");
+const { readJson, writeJson } = require("./files");
+
+const K1 = 1.2;
+const B = 0.75;
+const DIRECT_COVERAGE = 0.75;
+const SYNONYM_WEIGHT = 0.6;
+const FUZZY_WEIGHT = 0.8;
+const EMBEDDING_WEIGHT = 0.4;
+
+// Peso de cada campo (repeticiones del texto en el documento)
+const FIELDS = [
+  ["titulo", 3],
+  ["descripcion_breve", 2],
+  ["descripcion_completa", 1],
+  ["actividades", 1],
+  ["localidades", 1]
+];
+
+const STOPWORDS = new Set((
+  "a al algo algun alguna algunos ante aprender aprendo como con cual cuales curso cursos " +
+  "de del desde donde el ella en entre era es esa ese eso esta estan este esto estoy hay " +
+  "hacer info informacion la las le les lo los me mas mi mis muy nivel no nos o para pero " +
+  "por que quiero quisiera quiere saber se ser si sin sobre su sus taller talleres tambien " +
+  "te tengo tiene todo un una uno unos y ya yo hola buenas buenos tardes dias noches gracias favor"
+).split(" "));
+
+// Palabra normalizada → términos del catálogo que suelen querer decir
+const SINONIMOS = {
+  pelo: ["peluqueria", "barberia"],
+  cabello: ["peluqueria"],
+  barba: ["barberia"],
+  pan: ["panaderia"],
+  facturas: ["panaderia"],
+  cafe: ["barista"],
+  cocinar: ["cocina"],
+  soldar: ["soldadura"],
+  coser: ["confeccion", "costura"],
+  costura: ["confeccion"],
+  ropa: ["indumentaria", "confeccion", "modas"],
+  tejer: ["tejido", "crochet"],
+  computacion: ["informatica"],
+  computadora: ["informatica"],
+  compu: ["informatica"],
+  pc: ["informatica"],
+  celu: ["celulares"],
+  telefono: ["celulares"],
+  telefonos: ["celulares"],
+  heladera: ["refrigeracion"],
+  heladeras: ["refrigeracion"],
+  construir: ["construccion", "albanileria"],
+  albanil: ["albanileria"],
+  obra: ["albanileria", "construccion"],
+  maquillar: ["maquillaje"],
+  mascota: ["mascotas"],
+  perro: ["canina", "mascotas"],
+  perros: ["canina", "mascotas"],
+  hablar: ["oratoria"],
+  auto: ["automotor"],
+  autos: ["automotor"]
+};
+
+// Raíz aproximada en castellano: plural y sufijos frecuentes de oficios/verbos
+const SUFFIXES = [
+  "amiento", "imiento", "aciones", "acion", "erias", "eria", "eros", "eras", "ero", "era",
+  "ando", "iendo", "ados", "adas", "ado", "ada", "idos", "idas", "ido", "ida", "ar", "er", "ir"
+];
+const stem = (word) => {
+  let w = word;
+  if (w.length > 4 && w.endsWith("ces")) w = w.slice(0, -3) + "z";
+  else if (w.length > 4 && w.endsWith("es")) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith("s")) w = w.slice(0, -1);
+  const suffix = SUFFIXES.find((s) => w.endsWith(s) && w.length - s.length >= 4);
+  if (suffix) w = w.slice(0, -suffix.length);
+  if (w.length >= 5 && /[aeo]$/.test(w)) w = w.slice(0, -1);
+  return w;
+};
+
+const words = (text) => normalize(text).split(" ").filter((w) => w && !STOPWORDS.has(w));
+const tokenize = (text) => words(text).map(stem);
+// Palabra tal cual (para errores de tipeo) y su raíz (para variantes)
+const terms = (text) => words(text).map((word) => ({ word, stem: stem(word) }));
+
+// Distancia de edición acotada (corta apenas supera `max`)
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+};
+const maxTypos = (word) => (word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0);
+const sameTerm = (a, b) => a.stem === b.stem || (maxTypos(b.word) > 0 && editDistance(a.word, b.word, maxTypos(b.word)) <= maxTypos(b.word));
+
+const fieldText = (c, field) => (Array.isArray(c[field]) ? c[field].join(" ") : c[field] || "");
+
+const buildIndex = (cursos) => {
+  const vocab = new Map(); // palabra → raíz
+  const docs = cursos.map((c) => {
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of FIELDS) {
+      for (const t of terms(fieldText(c, field))) {
+        tf.set(t.stem, (tf.get(t.stem) || 0) + weight);
+        vocab.set(t.word, t.stem);
+        length += weight;
+      }
+    }
+    const titulo = terms(c.titulo).filter((t, i, all) => all.findIndex((x) => x.stem === t.stem) === i);
+    return { curso: c, tf, length, titulo };
+  });
+  const df = new Map();
+  docs.forEach((d) => d.tf.forEach((_n, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength, vocab };
+};
+
+// Términos de la consulta con su peso: exactos, sinónimos y correcciones de tipeo
+const expandQuery = (index, query) => {
+  const weights = new Map();
+  const add = (t, w) => weights.set(t, Math.max(weights.get(t) || 0, w));
+  for (const q of terms(query)) {
+    (SINONIMOS[q.word] || []).forEach((s) => add(stem(s), SYNONYM_WEIGHT));
+    if (index.df.has(q.stem)) {
+      add(q.stem, 1);
+      continue;
+    }
+    const typos = maxTypos(q.word);
+    if (!typos) continue;
+    index.vocab.forEach((vStem, vWord) => {
+      if (editDistance(q.word, vWord, typos) <= typos) add(vStem, FUZZY_WEIGHT);
+    });
+  }
+  return weights;
+};
+
+// Fracción de las palabras del título presentes en el mensaje (misma raíz o con errores de tipeo)
+const coverage = (titulo, queryTerms) => {
+  if (!titulo.length) return 0;
+  const hits = titulo.filter((t) => queryTerms.some((q) => sameTerm(q, t)));
+  return hits.length / titulo.length;
+};
+
+const cosine = (a, b) => {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
+
+const courseText = (c) => FIELDS.map(([field]) => fieldText(c, field)).filter(Boolean).join("\n");
+const hashOf = (text) => crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+
+// embed(textos) → promesa de vectores (p. ej. OpenAI embeddings); sin embed, solo BM25
+const createRetriever = ({ embed = null, cacheFile = null, logger = console } = {}) => {
+  const indexes = new WeakMap(); // array de cursos → índice
+  const cachePath = cacheFile ? path.resolve(cacheFile) : null;
+  let vectors = {};
+
+  if (cachePath) {
+    try {
+      vectors = readJson(cachePath, {});
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo leer ${path.basename(cachePath)}: ${e.message}`);
+    }
+  }
+
+  const indexOf = (cursos) => {
+    if (!indexes.has(cursos)) indexes.set(cursos, buildIndex(cursos));
+    return indexes.get(cursos);
+  };
+
+  // → [{ id, titulo, estado, score, cobertura }] ordenado, solo con score > 0 o mención directa
+  const search = (cursos, query, { k = 3 } = {}) => {
+    const index = indexOf(cursos);
+    const weights = expandQuery(index, query);
+    const queryTerms = terms(query);
+    const n = index.docs.length;
+
+    return index.docs
+      .map((d) => {
+        let score = 0;
+        weights.forEach((weight, t) => {
+          const f = d.tf.get(t);
+          if (!f) return;
+          const df = index.df.get(t);
+          const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+          score += weight * idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * d.length / index.avgLength));
+        });
+        const cobertura = coverage(d.titulo, queryTerms);
+        return { id: d.curso.id, titulo: d.curso.titulo, estado: d.curso.estado, score, cobertura };
+      })
+      .filter((r) => r.score > 0 || r.cobertura >= DIRECT_COVERAGE)
+      .sort((a, b) => (b.cobertura >= DIRECT_COVERAGE) - (a.cobertura >= DIRECT_COVERAGE) || b.score - a.score)
+      .slice(0, k)
+      .map((r) => ({ ...r, score: Math.round(r.score * 100) / 100, cobertura: Math.round(r.cobertura * 100) / 100 }));
+  };
+
+  // Curso mencionado directamente por su título (el de mayor cobertura y título más largo), o null
+  const directMatch = (cursos, query) => {
+    const queryTerms = terms(query);
+    if (!queryTerms.length) return null;
+    const best = indexOf(cursos).docs
+      .map((d) => ({ curso: d.curso, cobertura: coverage(d.titulo, queryTerms), size: d.titulo.length }))
+      .filter((r) => r.cobertura >= DIRECT_COVERAGE)
+      .sort((a, b) => b.cobertura - a.cobertura || b.size - a.size)[0];
+    return best ? best.curso : null;
+  };
+
+  const vectorsFor = async (cursos) => {
+    const missing = cursos.map((c) => [c, hashOf(courseText(c))]).filter(([, h]) => !vectors[h]);
+    if (missing.length) {
+      const out = await embed(missing.map(([c]) => courseText(c)));
+      missing.forEach(([, h], i) => { vectors[h] = out[i]; });
+      if (cachePath) writeJson(cachePath, vectors);
+    }
+    return cursos.map((c) => vectors[hashOf(courseText(c))]);
+  };
+
+  // Como search(), combinando con embeddings si hay `embed` (si fallan, queda BM25)
+  const rank = async (cursos, query, { k = 3 } = {}) => {
+    const lexical = search(cursos, query, { k: cursos.length });
+    if (!embed || !cursos.length) return lexical.slice(0, k);
+    try {
+      const [queryVector] = await embed([query]);
+      const courseVectors = await vectorsFor(cursos);
+      const maxScore = Math.max(...lexical.map((r) => r.score), 0) || 1;
+      const byId = new Map(lexical.map((r) => [String(r.id), r]));
+      return cursos
+        .map((c, i) => {
+          const r = byId.get(String(c.id)) || { id: c.id, titulo: c.titulo, estado: c.estado, score: 0, cobertura: 0 };
+          const semantic = cosine(queryVector, courseVectors[i]);
+          return { ...r, score: Math.round(((1 - EMBEDDING_WEIGHT) * r.score / maxScore + EMBEDDING_WEIGHT * semantic) * 100) / 100 };
+        })
+        .sort((a, b) => (b.cobertura >= DIRECT_COVERAGE) - (a.cobertura >= DIRECT_COVERAGE) || b.score - a.score)
+        .slice(0, k);
+    } catch (e) {
+      logger.warn(`⚠️  Embeddings no disponibles, sigo con BM25: ${e.message}`);
+      return lexical.slice(0, k);
+    }
+  };
+
+  return { search, rank, directMatch };
+};
+
+module.exports = {
+  DIRECT_COVERAGE,
+  SINONIMOS,
+  stem,
+  tokenize,
+  editDistance,
+  createRetriever
+};
@@ -0,0 +1,45 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/send-queue.js – Cola de envíos con espera entre mensajes
+ * Evita ráfagas hacia WhatsApp: cada tarea espera `intervalMs` (+ un
+ * extra aleatorio de hasta `jitterMs`) desde el envío anterior.
+ * push(task) → promesa con el resultado de task()
+ *──────────────────────────────────────────────────────────────────────*/
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createSendQueue = ({ intervalMs = 3000, jitterMs = 0 } = {}) => {
+  const pending = [];
+  let running = false;
+  let lastSentAt = 0;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    while (pending.length) {
+      const { task, resolve, reject } = pending.shift();
+      const wait = lastSentAt + intervalMs + Math.floor(Math.random() * (jitterMs + 1)) - Date.now();
+      if (wait > 0) await sleep(wait);
+      try {
+        resolve(await task());
+      } catch (err) {
+        reject(err);
+      }
+      lastSentAt = Date.now();
+    }
+    running = false;
+  };
+
+  const push = (task) => new Promise((resolve, reject) => {
+    pending.push({ task, resolve, reject });
+    run();
+  });
+
+  return { push, size: () => pending.length };
+};
+
+module.exports = {
+  sleep,
+  createSendQueue
+};
@@ -0,0 +1,129 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/session-store.js – Memoria de conversación por chat con TTL
+ * Backends con la misma interfaz (async):
+ *   get(id) → estado | null     set(id, estado)     delete(id)
+ *   sweep() → cantidad expirada  size()             close()
+ * - memory: Map en proceso (tests / desarrollo)
+ * - file:   JSON en disco (sobrevive reinicios; escritura diferida y atómica)
+ * Una entrada expira si no se usa durante `ttlMs`.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const path = require("path");
+const { readJson, writeJson } = require("./files");
+
+const DEFAULT_TTL_MS = 120 * 60 * 1000;
+const FLUSH_DELAY_MS = 1000;
+
+// Núcleo en memoria compartido por ambos backends
+const createEntries = ({ ttlMs, now }) => {
+  const entries = new Map(); // id → { state, touchedAt }
+
+  const expired = (entry) => ttlMs > 0 && now() - entry.touchedAt > ttlMs;
+
+  return {
+    entries,
+    get: (id) => {
+      const entry = entries.get(id);
+      if (!entry) return null;
+      if (expired(entry)) {
+        entries.delete(id);
+        return null;
+      }
+      return entry.state;
+    },
+    set: (id, state) => entries.set(id, { state, touchedAt: now() }),
+    delete: (id) => entries.delete(id),
+    sweep: () => {
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (expired(entry)) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+const createMemoryStore = ({ ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) => {
+  const core = createEntries({ ttlMs, now });
+  return {
+    get: async (id) => core.get(id),
+    set: async (id, state) => { core.set(id, state); },
+    delete: async (id) => core.delete(id),
+    sweep: async () => core.sweep(),
+    size: async () => core.entries.size,
+    close: async () => {}
+  };
+};
+
+const createFileStore = ({ file, ttlMs = DEFAULT_TTL_MS, now = Date.now, logger = console } = {}) => {
+  const filePath = path.resolve(file);
+  const core = createEntries({ ttlMs, now });
+  let timer = null;
+
+  try {
+    const saved = readJson(filePath, {});
+    Object.entries(saved).forEach(([id, entry]) => {
+      if (entry && entry.state) core.entries.set(id, { state: entry.state, touchedAt: entry.touchedAt || 0 });
+    });
+    core.sweep();
+  } catch (e) {
+    logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}. Se inicia sin sesiones guardadas.`);
+  }
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      writeJson(filePath, Object.fromEntries(core.entries));
+    } catch (e) {
+      logger.warn(`⚠️  No se pudieron guardar las sesiones: ${e.message}`);
+    }
+  };
+
+  // Agrupa varias escrituras seguidas en una sola
+  const scheduleFlush = () => {
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+  };
+
+  return {
+    get: async (id) => core.get(id),
+    set: async (id, state) => {
+      core.set(id, state);
+      scheduleFlush();
+    },
+    delete: async (id) => {
+      const existed = core.delete(id);
+      if (existed) scheduleFlush();
+      return existed;
+    },
+    sweep: async () => {
+      const removed = core.sweep();
+      if (removed) scheduleFlush();
+      return removed;
+    },
+    size: async () => core.entries.size,
+    close: async () => { if (timer) flush(); }
+  };
+};
+
+// Backend según .env: SESSION_STORE=file|memory, SESSION_FILE, SESSION_TTL_MINUTES
+const createSessionStore = ({ env = process.env, dataDir } = {}) => {
+  const minutes = Number(env.SESSION_TTL_MINUTES);
+  const ttlMs = Number.isFinite(minutes) && minutes >= 0 ? minutes * 60 * 1000 : DEFAULT_TTL_MS;
+  if ((env.SESSION_STORE || "file").toLowerCase() === "memory") {
+    return createMemoryStore({ ttlMs });
+  }
+  return createFileStore({ file: env.SESSION_FILE || path.join(dataDir, "sessions.json"), ttlMs });
+};
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  createMemoryStore,
+  createFileStore,
+  createSessionStore
+};
@@ -0,0 +1,80 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/stats.js – Contadores diarios para el panel de operación
+ *   { [AAAA-MM-DD]: { entrantes, salientes, errores_openai } }
+ * El día es el de la hora local (CAMILA_TZ, ver estado-curso.js).
+ * Se guardan en data/stats.json (escritura agrupada, atómica) y se
+ * conservan los últimos KEEP_DAYS días.
+ * Emite "change" ({ dia, ...contadores }) en cada incremento.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const path = require("path");
+const { readJson, writeJson } = require("./files");
+const { localNow } = require("./estado-curso");
+
+const COUNTERS = ["entrantes", "salientes", "errores_openai"];
+const KEEP_DAYS = 90;
+const FLUSH_DELAY_MS = 2000;
+
+const emptyDay = () => Object.fromEntries(COUNTERS.map((k) => [k, 0]));
+
+const createStats = ({ file, now = Date.now, logger = console } = {}) => {
+  const stats = new EventEmitter();
+  const filePath = path.resolve(file);
+  let days = {};
+  let flushTimer = null;
+
+  try {
+    days = readJson(filePath, {});
+  } catch (e) {
+    logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+  }
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const keep = Object.keys(days).sort().slice(-KEEP_DAYS);
+    days = Object.fromEntries(keep.map((dia) => [dia, days[dia]]));
+    try {
+      writeJson(filePath, days);
+    } catch (e) {
+      logger.warn(`⚠️  No se pudieron guardar las estadísticas: ${e.message}`);
+    }
+  };
+
+  const today = () => localNow(new Date(now())).slice(0, 10);
+
+  // counter: entrantes | salientes | errores_openai
+  stats.increment = (counter, by = 1) => {
+    if (!COUNTERS.includes(counter)) throw new Error("Unknown counter: " + counter);
+    const dia = today();
+    days[dia] = { ...emptyDay(), ...days[dia] };
+    days[dia][counter] += by;
+    if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    stats.emit("change", { dia, ...days[dia] });
+  };
+
+  // Últimos `limit` días, del más reciente al más viejo (los días sin datos en 0)
+  stats.daily = (limit = 14) => {
+    const out = [];
+    const base = Date.parse(`${today()}T12:00:00Z`);
+    for (let i = 0; i < limit; i++) {
+      const dia = new Date(base - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      out.push({ dia, ...emptyDay(), ...days[dia] });
+    }
+    return out;
+  };
+
+  stats.close = () => {
+    if (flushTimer) flush();
+  };
+
+  return stats;
+};
+
+module.exports = {
+  COUNTERS,
+  createStats
+};
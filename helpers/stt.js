@@ -0,0 +1,122 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/stt.js – Notas de voz → texto (speech-to-text)
+ * Backends (STT_PROVIDER):
+ * - openai: API de transcripción de OpenAI (OPENAI_API_KEY).
+ * - local:  servidor estilo Whisper con la API de OpenAI
+ *           (/v1/audio/transcriptions: faster-whisper-server, whisper.cpp
+ *           server, LocalAI…) en LOCAL_STT_URL.
+ * - none:   sin transcripción (los audios reciben el aviso audio_no_disponible).
+ * Default: openai si hay clave, local si hay LOCAL_STT_URL, si no none.
+ * .env: STT_MODEL (whisper-1) · LOCAL_STT_MODEL (whisper-1) ·
+ *   LOCAL_STT_API_KEY · STT_LANGUAGE (es) · STT_TIMEOUT_MS (30000) ·
+ *   STT_MAX_SECONDS (180)
+ * mediaKind(msg) clasifica el mensaje entrante: "audio" (ptt/audio),
+ * "media" (imagen, sticker, documento, video, ubicación, contacto) o null.
+ * transcribeMessage(msg) → { ok, text } | { ok: false, reason }
+ *   reason: "largo" | "descarga" | "vacio" | "error" | "no_disponible"
+ *──────────────────────────────────────────────────────────────────────*/
+
+const OpenAI = require("openai");
+const { toFile } = require("openai");
+const mime = require("mime-types");
+const { withTimeout } = require("./llm");
+
+const AUDIO_TYPES = new Set(["ptt", "audio"]);
+const MEDIA_TYPES = new Set(["image", "video", "sticker", "document", "location", "vcard", "multi_vcard"]);
+
+const DEFAULTS = {
+  model: "whisper-1",
+  language: "es",
+  timeoutMs: 30000,
+  maxSeconds: 180
+};
+
+const mediaKind = (msg) => {
+  if (AUDIO_TYPES.has(msg.type)) return "audio";
+  if (MEDIA_TYPES.has(msg.type)) return "media";
+  return null;
+};
+
+// client: SDK de OpenAI (o cualquier objeto con audio.transcriptions.create)
+const createWhisperBackend = ({ name, client, model = DEFAULTS.model, language = DEFAULTS.language }) => ({
+  name,
+  model,
+  transcribe: async ({ buffer, mimetype, signal }) => {
+    const type = (mimetype || "audio/ogg").split(";")[0].trim();
+    // Las notas de voz de WhatsApp son audio/ogg (opus); "oga" no lo aceptan todos los servidores
+    const ext = type === "audio/ogg" ? "ogg" : mime.extension(type) || "ogg";
+    const file = await toFile(buffer, `nota.${ext}`, { type });
+    const result = await client.audio.transcriptions.create({ file, model, language }, { signal });
+    return String((result && result.text) || "").trim();
+  }
+});
+
+const numberOr = (value, fallback) => (value !== undefined && value !== "" && Number.isFinite(Number(value)) ? Number(value) : fallback);
+
+// backend: createWhisperBackend(...) o null (sin transcripción)
+const createTranscriber = ({ backend = null, timeoutMs = DEFAULTS.timeoutMs, maxSeconds = DEFAULTS.maxSeconds, logger = console } = {}) => {
+  const transcribeMessage = async (msg) => {
+    if (!backend) return { ok: false, reason: "no_disponible" };
+    // duration viene en segundos (string) en las notas de voz
+    const seconds = Number(msg.duration);
+    if (Number.isFinite(seconds) && seconds > maxSeconds) return { ok: false, reason: "largo" };
+
+    let media;
+    try {
+      media = await msg.downloadMedia();
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo descargar el audio de ${msg.from}: ${e.message}`);
+    }
+    if (!media || !media.data) return { ok: false, reason: "descarga" };
+
+    try {
+      const buffer = Buffer.from(media.data, "base64");
+      const text = await withTimeout((signal) => backend.transcribe({ buffer, mimetype: media.mimetype, signal }), timeoutMs);
+      return text ? { ok: true, text } : { ok: false, reason: "vacio" };
+    } catch (e) {
+      logger.warn(`⚠️  Transcripción "${backend.name}" falló (${msg.from}): ${e.message}`);
+      return { ok: false, reason: "error" };
+    }
+  };
+
+  return { enabled: !!backend, name: backend ? backend.name : "none", transcribeMessage };
+};
+
+// `openai`: cliente ya creado (o null si no hay clave)
+const createTranscriberFromEnv = ({ env = process.env, openai = null, logger = console } = {}) => {
+  const localUrl = (env.LOCAL_STT_URL || "").trim();
+  const language = env.STT_LANGUAGE || DEFAULTS.language;
+  const name = String(env.STT_PROVIDER || (openai ? "openai" : localUrl ? "local" : "none")).trim().toLowerCase();
+
+  let backend = null;
+  if (name === "openai") {
+    if (openai) backend = createWhisperBackend({ name, client: openai, model: env.STT_MODEL || DEFAULTS.model, language });
+    else logger.warn("⚠️  STT: proveedor openai sin OPENAI_API_KEY, los audios no se transcriben");
+  } else if (name === "local") {
+    if (localUrl) {
+      const client = new OpenAI({ baseURL: localUrl, apiKey: env.LOCAL_STT_API_KEY || "local", maxRetries: 0 });
+      backend = createWhisperBackend({ name, client, model: env.LOCAL_STT_MODEL || DEFAULTS.model, language });
+    } else {
+      logger.warn("⚠️  STT: proveedor local sin LOCAL_STT_URL, los audios no se transcriben");
+    }
+  } else if (name !== "none") {
+    logger.warn(`⚠️  STT: proveedor desconocido "${name}" (válidos: openai, local, none)`);
+  }
+  logger.log(`🎤 Notas de voz: ${backend ? `${backend.name} (${backend.model})` : "sin transcripción"}`);
+
+  return createTranscriber({
+    backend,
+    timeoutMs: numberOr(env.STT_TIMEOUT_MS, DEFAULTS.timeoutMs),
+    maxSeconds: numberOr(env.STT_MAX_SECONDS, DEFAULTS.maxSeconds),
+    logger
+  });
+};
+
+module.exports = {
+  mediaKind,
+  createWhisperBackend,
+  createTranscriber,
+  createTranscriberFromEnv
+};
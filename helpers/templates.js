@@ -0,0 +1,119 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/templates.js – Prompt del sistema y respuestas fijas en archivos
+ * templates/prompt/*.md      → secciones del prompt (se unen por nombre)
+ * templates/respuestas/*.md  → respuestas fijas ({variable} se reemplaza)
+ *
+ * Cada archivo puede empezar con un encabezado:
+ *   ---
+ *   enabled: true
+ *   desde: 2025-12-01      (opcional, inclusive, hora local CAMILA_TZ)
+ *   hasta: 2026-02-28      (opcional, inclusive)
+ *   ---
+ * Los archivos se releen solo si cambian, así que activar o apagar una
+ * campaña es editar el encabezado, sin reiniciar el bot.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+const { localNow, toStamp } = require("./estado-curso");
+
+const DEFAULT_DIR = path.join(__dirname, "..", "templates");
+
+// "---\nclave: valor\n---\ncuerpo" → { meta, body }
+const parseTemplate = (text) => {
+  const meta = {};
+  let body = text.replace(/^\uFEFF/, "");
+  const m = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (m) {
+    m[1].split(/\r?\n/).forEach((line) => {
+      const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+      if (!kv) return;
+      let value = kv[2].replace(/^["']|["']$/g, "");
+      if (value === "true") value = true;
+      else if (value === "false") value = false;
+      meta[kv[1]] = value;
+    });
+    body = body.slice(m[0].length);
+  }
+  return { meta, body: body.replace(/\s+$/, "") };
+};
+
+// Activa si enabled !== false y `now` cae dentro de [desde, hasta]
+const isActive = (meta, now = new Date()) => {
+  if (meta.enabled === false) return false;
+  const ahora = localNow(now);
+  const desde = toStamp(meta.desde || "");
+  const hasta = toStamp(meta.hasta || "", true);
+  if (desde && ahora < desde) return false;
+  if (hasta && ahora > hasta) return false;
+  return true;
+};
+
+// Reemplaza {clave} por vars[clave]; deja intactas las que no vienen
+const render = (text, vars = {}) =>
+  text.replace(/\{(\w+)\}/g, (whole, key) => (vars[key] !== undefined && vars[key] !== null ? String(vars[key]) : whole));
+
+const createTemplateStore = ({ dir = DEFAULT_DIR, logger = console } = {}) => {
+  const cache = new Map(); // archivo → { mtimeMs, name, meta, body }
+
+  // Lee un subdirectorio (prompt / respuestas) usando la caché por mtime
+  const loadDir = (sub) => {
+    const folder = path.join(dir, sub);
+    let files = [];
+    try {
+      files = fs.readdirSync(folder).filter((f) => f.endsWith(".md")).sort();
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo leer ${folder}: ${e.message}`);
+      return [];
+    }
+    return files.map((f) => {
+      const file = path.join(folder, f);
+      try {
+        const mtimeMs = fs.statSync(file).mtimeMs;
+        const hit = cache.get(file);
+        if (hit && hit.mtimeMs === mtimeMs) return hit;
+        const entry = { mtimeMs, name: f.replace(/\.md$/, ""), ...parseTemplate(fs.readFileSync(file, "utf-8")) };
+        cache.set(file, entry);
+        return entry;
+      } catch (e) {
+        logger.warn(`⚠️  No se pudo leer ${file}: ${e.message}`);
+        return null;
+      }
+    }).filter(Boolean);
+  };
+
+  const describe = (t, now) => ({
+    name: t.name,
+    active: isActive(t.meta, now),
+    enabled: t.meta.enabled !== false,
+    desde: t.meta.desde || null,
+    hasta: t.meta.hasta || null
+  });
+
+  // Secciones del prompt con su estado a la fecha `now`
+  const promptSections = (now = new Date()) => loadDir("prompt").map((t) => ({ ...describe(t, now), body: t.body }));
+
+  // Prompt final: secciones activas en orden de nombre de archivo
+  const assemblePrompt = (now = new Date()) =>
+    promptSections(now).filter((s) => s.active).map((s) => s.body).join("\n\n");
+
+  const replies = (now = new Date()) => loadDir("respuestas").map((t) => ({ ...describe(t, now), body: t.body }));
+
+  // Respuesta fija renderizada, o null si no existe / no está activa
+  const reply = (name, vars = {}, now = new Date()) => {
+    const t = loadDir("respuestas").find((x) => x.name === name);
+    if (!t || !isActive(t.meta, now) || !t.body) return null;
+    return render(t.body, vars);
+  };
+
+  return { promptSections, assemblePrompt, replies, reply };
+};
+
+module.exports = {
+  parseTemplate,
+  isActive,
+  render,
+  createTemplateStore
+};
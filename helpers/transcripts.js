@@ -0,0 +1,131 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/transcripts.js – Registro de conversaciones (JSON Lines)
+ * Un registro por turno:
+ *   { ts, chatId, user, reply, via, candidates, cursos, latencyMs,
+ *     proveedor?, intencion?, correcciones?, audio?, flyer? }
+ * proveedor: el que respondió cuando via = modelo (openai | local | reglas);
+ * correcciones: URLs/fechas de la respuesta que no coincidían con la ficha
+ * via: filtro_duro | link | intent:<nombre> | modelo | no_disponible |
+ *      error | handoff | operador | aviso_alta | aviso_baja | aviso |
+ *      campania | baja | alta | media | audio_error | ficha | menu
+ * audio: true si el mensaje era una nota de voz (user = transcripción)
+ * flyer: en via = ficha, si se pudo adjuntar la imagen del curso
+ * search() recorre el archivo filtrando por número, rango de fechas o
+ * título de curso (en memoria solo queda la página pedida); maskPhone() oculta el número para quien no es admin.
+ * Emite "record" con cada registro nuevo (panel de operación en vivo).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const fs       = require("fs");
+const path     = require("path");
+const readline = require("readline");
+const { normalize } = require("./cursos");
+
+const digitsOf = (chatId) => String(chatId || "").replace(/@.*$/, "").replace(/\D/g, "");
+
+// 5493884123456 → 549388*****56 · 3884123456 → 388*****56
+const maskPhone = (value) => {
+  const d = digitsOf(value);
+  if (d.length <= 5) return "*".repeat(d.length);
+  const keep = d.length >= 12 ? 6 : 3;
+  return d.slice(0, keep) + "*".repeat(d.length - keep - 2) + d.slice(-2);
+};
+
+// Oculta también teléfonos que el usuario haya escrito en el texto: al menos
+// 10 dígitos sin contar separadores (las fechas AAAA-MM-DD no son teléfonos)
+const PHONE_RE = /\+?\d[\d\s-]{7,}\d/g;
+const ISO_DATE_RE = /\b\d{4}-\d{2}-\d{2}\b/;
+const maskText = (text) => String(text || "").replace(PHONE_RE, (m) => {
+  if (ISO_DATE_RE.test(m)) {
+    // Fecha pegada a otros números: se enmascara solo lo que no es fecha
+    return m.split(/(\b\d{4}-\d{2}-\d{2}\b)/).map((part) => (ISO_DATE_RE.test(part) ? part : maskText(part))).join("");
+  }
+  return m.replace(/\D/g, "").length >= 10 ? maskPhone(m) : m;
+});
+
+const maskRecord = (r) => ({
+  ...r,
+  chatId: maskPhone(r.chatId) + (String(r.chatId).includes("@") ? "@" + String(r.chatId).split("@")[1] : ""),
+  user: maskText(r.user),
+  reply: maskText(r.reply)
+});
+
+// Fecha de consulta → timestamp (AAAA-MM-DD toma el día completo)
+const boundary = (value, endOfDay) => {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return Date.parse(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}-03:00`);
+  }
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? NaN : t;
+};
+
+const createTranscriptStore = ({ file, logger = console } = {}) => {
+  const filePath = path.resolve(file);
+  const events = new EventEmitter();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const record = (entry) => {
+    const r = { ts: new Date().toISOString(), ...entry };
+    events.emit("record", r);
+    const line = JSON.stringify(r) + "\n";
+    fs.appendFile(filePath, line, "utf-8", (err) => {
+      if (err) logger.warn(`⚠️  No se pudo guardar el registro de conversación: ${err.message}`);
+    });
+  };
+
+  // filtros: { number, from, to, curso, limit, offset } → { total, items } (más recientes primero)
+  const search = async ({ number, from, to, curso, limit = 50, offset = 0 } = {}) => {
+    const desde = boundary(from, false);
+    const hasta = boundary(to, true);
+    if (Number.isNaN(desde) || Number.isNaN(hasta)) {
+      const err = new Error("Invalid date range");
+      err.status = 422;
+      throw err;
+    }
+    const phone = number ? String(number).replace(/\D/g, "") : "";
+    const title = curso ? normalize(curso) : "";
+
+    if (!fs.existsSync(filePath)) return { total: 0, items: [] };
+
+    // El archivo va del más viejo al más nuevo: solo se guardan las últimas
+    // offset + limit coincidencias (el resto solo suma al total)
+    const keep = Math.max(0, offset) + Math.max(0, limit);
+    let recent = [];
+    let total = 0;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, "utf-8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let r;
+      try { r = JSON.parse(line); } catch (_e) { continue; }
+
+      if (phone && !digitsOf(r.chatId).includes(phone)) continue;
+      const t = Date.parse(r.ts);
+      if (desde !== null && t < desde) continue;
+      if (hasta !== null && t > hasta) continue;
+      if (title) {
+        const titles = [...(r.cursos || []), ...(r.candidates || [])].map((c) => normalize(c.titulo));
+        if (!titles.some((x) => x.includes(title)) && !normalize(r.user).includes(title)) continue;
+      }
+      total++;
+      if (!keep) continue;
+      recent.push(r);
+      if (recent.length >= 2 * keep) recent = recent.slice(-keep);
+    }
+
+    const items = recent.slice(-keep).reverse();
+    return { total, items: items.slice(offset, offset + limit) };
+  };
+
+  return { file: filePath, record, search, on: (event, listener) => events.on(event, listener) };
+};
+
+module.exports = {
+  maskPhone,
+  maskText,
+  maskRecord,
+  createTranscriptStore
+};
@@ -0,0 +1,246 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/wa-sessions.js – Varias cuentas de WhatsApp en un solo servidor
+ * Cada sesión (LocalAuth con su clientId) declara qué asistente corre:
+ *   { id, description, profile: "camila" | "send-only", catalog? }
+ * - "camila": responde con el bot usando `catalog` (JSON de cursos; por
+ *   defecto el catálogo principal).
+ * - "send-only": solo envíos por la API REST, no contesta mensajes.
+ * La sesión "default" siempre existe (usa la carpeta LocalAuth original).
+ * Cada sesión tiene su propia memoria: las conversaciones se identifican
+ * con conversationKey(sesión, chatId) ("default" conserva el chatId solo).
+ * Ciclo de vida: add → restart | logout (desvincula y pide QR nuevo) |
+ * remove (desvincula, borra .wwebjs_auth/session-<id> y la saca del archivo).
+ * Una sesión en transición rechaza otra operación (409); los ids repetidos
+ * también (409).
+ * Estados: iniciando | qr | autenticada | lista | desconectada | error |
+ *          reiniciando | cerrando | eliminando
+ * Persistencia: data/whatsapp-sessions.json, escritura atómica (files.js);
+ * importa el archivo viejo de app-multiple-account.js si existe.
+ * Eventos: "qr" | "ready" | "authenticated" | "auth_failure" |
+ *          "disconnected" (id, ...) · "message" | "message_ack" (id, ...)
+ *          "status" (vista pública) · "removed" (id)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJson } = require("./files");
+
+const DEFAULT_SESSION = "default";
+const PROFILES = ["camila", "send-only"];
+const ID_RE = /^[a-z0-9_-]{1,32}$/i;
+
+const conversationKey = (sessionId, chatId) =>
+  !sessionId || sessionId === DEFAULT_SESSION ? chatId : `${sessionId}:${chatId}`;
+
+// "ventas:549388...@c.us" → { sessionId: "ventas", chatId: "549388...@c.us" }
+const splitConversationKey = (key) => {
+  const m = String(key).match(/^([a-z0-9_-]{1,32}):(.+)$/i);
+  return m ? { sessionId: m[1], chatId: m[2] } : { sessionId: DEFAULT_SESSION, chatId: String(key) };
+};
+
+const sessionError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Datos guardados de una sesión, validados
+const normalizeSession = ({ id, description = "", profile = "camila", catalog = null }) => {
+  if (!ID_RE.test(String(id || ""))) throw sessionError(422, "Invalid session id (letters, numbers, - and _)");
+  if (!PROFILES.includes(profile)) throw sessionError(422, `Invalid profile, use one of: ${PROFILES.join(", ")}`);
+  return {
+    id: String(id),
+    description: String(description || ""),
+    profile,
+    catalog: profile === "camila" && catalog ? String(catalog) : null
+  };
+};
+
+// buildClient(sesión) → Client de whatsapp-web.js (sin inicializar)
+// authDir: carpeta de LocalAuth (la de "default" es session, el resto session-<id>)
+const createWhatsAppSessions = ({ file, legacyFile = null, buildClient, authDir = ".wwebjs_auth", defaults = {}, now = Date.now, logger = console } = {}) => {
+  const manager = new EventEmitter();
+  const filePath = path.resolve(file);
+  const sessions = new Map(); // id → { ...datos, estado, ready, busy, client }
+
+  const persist = () => {
+    const saved = [...sessions.values()]
+      .filter((s) => s.id !== DEFAULT_SESSION)
+      .map(({ id, description, profile, catalog }) => ({ id, description, profile, catalog }));
+    writeJson(filePath, saved);
+  };
+
+  const readSaved = () => {
+    try {
+      if (fs.existsSync(filePath)) return readJson(filePath, []);
+      // Sesiones de app-multiple-account.js: no tenían bot
+      if (legacyFile && fs.existsSync(legacyFile)) {
+        logger.log(`↪️  Importando sesiones de ${path.basename(legacyFile)}`);
+        return readJson(legacyFile, []).map((s) => ({ id: s.id, description: s.description, profile: "send-only" }));
+      }
+    } catch (e) {
+      logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+    }
+    return [];
+  };
+
+  // Sin el cliente ni el candado; `numero` sale de client.info una vez lista
+  const publicView = ({ client, busy: _busy, ...rest }) => ({
+    ...rest,
+    numero: rest.ready && client && client.info && client.info.wid ? client.info.wid.user : null
+  });
+
+  const setEstado = (entry, estado, extra = {}) => {
+    Object.assign(entry, { estado, ready: estado === "lista", updatedAt: new Date(now()).toISOString() }, extra);
+    if (sessions.get(entry.id) === entry) manager.emit("status", publicView(entry));
+  };
+
+  // Crea el cliente, reenvía sus eventos con el id de la sesión y lo inicializa
+  const attach = (entry) => {
+    const client = buildClient(entry);
+    entry.client = client;
+
+    const forward = (event, after) => (...args) => {
+      if (after) after(...args);
+      manager.emit(event, entry.id, ...args);
+    };
+    client.on("qr", forward("qr", () => setEstado(entry, "qr")));
+    client.on("authenticated", forward("authenticated", () => setEstado(entry, "autenticada")));
+    client.on("auth_failure", forward("auth_failure", (msg) => setEstado(entry, "error", { lastError: String(msg || "auth_failure") })));
+    client.on("ready", forward("ready", () => setEstado(entry, "lista", { lastError: null })));
+    client.on("disconnected", forward("disconnected", (reason) => {
+      setEstado(entry, "desconectada", { lastError: reason ? String(reason) : null });
+      manager.restart(entry.id).catch((e) => logger.error(`❌ Sesión ${entry.id}: ${e.message}`));
+    }));
+    client.on("message", forward("message"));
+    client.on("message_ack", forward("message_ack"));
+
+    setEstado(entry, "iniciando");
+    Promise.resolve()
+      .then(() => client.initialize())
+      .catch((e) => {
+        if (entry.client === client) setEstado(entry, "error", { lastError: e.message });
+      });
+  };
+
+  // Suelta el cliente actual; con logout desvincula el teléfono (LocalAuth borra sus datos)
+  const detach = async (entry, { logout = false } = {}) => {
+    const client = entry.client;
+    entry.client = null;
+    entry.ready = false;
+    if (!client) return;
+    client.removeAllListeners();
+    try {
+      if (logout) return await client.logout();
+    } catch (e) {
+      logger.warn(`⚠️  Sesión ${entry.id}: no se pudo cerrar sesión (${e.message})`);
+    }
+    try {
+      await client.destroy();
+    } catch (e) {
+      logger.warn(`⚠️  Sesión ${entry.id}: no se pudo cerrar el navegador (${e.message})`);
+    }
+  };
+
+  const removeAuth = (id) => fs.promises.rm(
+    path.resolve(authDir, id === DEFAULT_SESSION ? "session" : `session-${id}`),
+    { recursive: true, force: true }
+  );
+
+  // Una operación a la vez por sesión: las demás reciben 409 hasta que termine
+  const transition = async (id, estado, fn) => {
+    const entry = sessions.get(id);
+    if (!entry) throw sessionError(404, `Session ${id} not found`);
+    if (entry.busy) throw sessionError(409, `Session ${id} is busy (${entry.estado})`);
+    entry.busy = true;
+    setEstado(entry, estado);
+    try {
+      return await fn(entry);
+    } catch (e) {
+      setEstado(entry, "error", { lastError: e.message });
+      throw e;
+    } finally {
+      entry.busy = false;
+    }
+  };
+
+  const start = (data) => {
+    const entry = { ...data, estado: "iniciando", ready: false, busy: false, lastError: null, updatedAt: null, client: null };
+    sessions.set(entry.id, entry);
+    attach(entry);
+    return entry;
+  };
+
+  manager.add = (data) => {
+    const entry = normalizeSession(data);
+    if (sessions.has(entry.id)) throw sessionError(409, `Session ${entry.id} already exists`);
+    start(entry);
+    persist();
+    return publicView(sessions.get(entry.id));
+  };
+
+  // Cierra el navegador y vuelve a iniciar con los mismos datos de LocalAuth
+  manager.restart = (id) => transition(id, "reiniciando", async (entry) => {
+    await detach(entry);
+    attach(entry);
+    return publicView(entry);
+  });
+
+  // Desvincula el teléfono y deja la sesión esperando un QR nuevo
+  manager.logout = (id) => transition(id, "cerrando", async (entry) => {
+    await detach(entry, { logout: true });
+    await removeAuth(entry.id);
+    attach(entry);
+    return publicView(entry);
+  });
+
+  // Desvincula, borra los datos de LocalAuth y la quita del archivo
+  manager.remove = (id) => {
+    if (id === DEFAULT_SESSION) return Promise.reject(sessionError(409, "The default session cannot be deleted, use logout"));
+    return transition(id, "eliminando", async (entry) => {
+      await detach(entry, { logout: true });
+      await removeAuth(entry.id);
+      sessions.delete(entry.id);
+      persist();
+      manager.emit("removed", entry.id);
+      return publicView(entry);
+    });
+  };
+
+  manager.get = (id) => sessions.get(id) || null;
+  manager.has = (id) => sessions.has(id);
+  manager.clientOf = (id) => (sessions.get(id || DEFAULT_SESSION) || {}).client || null;
+  manager.isReady = (id) => !!(sessions.get(id || DEFAULT_SESSION) || {}).ready;
+  manager.list = () => [...sessions.values()].map(publicView);
+
+  // Arranca "default" y las sesiones guardadas
+  manager.init = () => {
+    start(normalizeSession({ description: "Cuenta principal", profile: "camila", ...defaults, id: DEFAULT_SESSION }));
+    for (const saved of readSaved()) {
+      try {
+        if (sessions.has(saved.id)) continue;
+        start(normalizeSession(saved));
+      } catch (e) {
+        logger.warn(`⚠️  Sesión ${saved && saved.id} ignorada: ${e.message}`);
+      }
+    }
+    persist();
+    return manager;
+  };
+
+  // Al apagar: cierra los navegadores sin desvincular
+  manager.close = () => Promise.all([...sessions.values()].map((entry) => detach(entry)));
+
+  return manager;
+};
+
+module.exports = {
+  DEFAULT_SESSION,
+  PROFILES,
+  conversationKey,
+  splitConversationKey,
+  createWhatsAppSessions
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/waitlist.js – Avisos "avisame cuando abra la inscripción"
+ * - El usuario responde "avisame" y queda anotado al curso en cuestión.
+ * - Cuando ese curso pasa a inscripcion_abierta / ultimos_cupos (o aparece
+ *   una nueva comisión abierta con el mismo título exacto) se avisa una sola vez
+ *   con el link del formulario y la suscripción se da de baja.
+ * - "cancelar aviso" borra las suscripciones del chat.
+ * Persistencia: { [courseId]: [{ chatId, titulo, since }] }
+ *──────────────────────────────────────────────────────────────────────*/
+
+const path = require("path");
+const { normalize } = require("./cursos");
+const { readJson, writeJson } = require("./files");
+
+const OPEN_STATES = new Set(["inscripcion_abierta", "ultimos_cupos"]);
+
+const SUBSCRIBE_RE   = /\b(avisame|aviseme|avisenme|avisarme|notificame|quiero que me avisen|me avisan|me avisas|anotame en la lista)\b/;
+const UNSUBSCRIBE_RE = /\b(cancelar (el |los )?avisos?|no me avises|no me avisen|ya no quiero (el |los )?avisos?|sacame de (la lista|los avisos))\b/;
+
+const wantsSubscribe   = (text) => SUBSCRIBE_RE.test(normalize(text)) && !UNSUBSCRIBE_RE.test(normalize(text));
+const wantsUnsubscribe = (text) => UNSUBSCRIBE_RE.test(normalize(text));
+
+// Otra comisión del mismo curso: mismo título normalizado (que uno contenga
+// al otro no alcanza: "Barbería" no es "Peluquería y Barbería Básica")
+const sameCourseTitle = (a, b) => {
+  const x = normalize(a);
+  return !!x && x === normalize(b);
+};
+
+const createWaitlist = ({ file, logger = console } = {}) => {
+  const filePath = path.resolve(file);
+  let subs = {};
+
+  try {
+    subs = readJson(filePath, {});
+  } catch (e) {
+    logger.warn(`⚠️  No se pudo leer ${path.basename(filePath)}: ${e.message}`);
+  }
+
+  const persist = () => {
+    try {
+      writeJson(filePath, subs);
+    } catch (e) {
+      logger.warn(`⚠️  No se pudieron guardar los avisos: ${e.message}`);
+    }
+  };
+
+  // → true si es una suscripción nueva
+  const subscribe = (curso, chatId) => {
+    const key = String(curso.id);
+    const list = subs[key] || [];
+    if (list.some((s) => s.chatId === chatId)) return false;
+    subs[key] = [...list, { chatId, titulo: curso.titulo, since: new Date().toISOString() }];
+    persist();
+    return true;
+  };
+
+  // Sin courseId borra todas las del chat; devuelve cuántas quitó
+  const unsubscribe = (chatId, courseId = null) => {
+    let removed = 0;
+    for (const key of Object.keys(subs)) {
+      if (courseId !== null && key !== String(courseId)) continue;
+      const before = subs[key].length;
+      subs[key] = subs[key].filter((s) => s.chatId !== chatId);
+      removed += before - subs[key].length;
+      if (!subs[key].length) delete subs[key];
+    }
+    if (removed) persist();
+    return removed;
+  };
+
+  const byChat = (chatId) =>
+    Object.entries(subs).flatMap(([id, list]) => list.filter((s) => s.chatId === chatId).map((s) => ({ id, ...s })));
+
+  const list = () => Object.entries(subs).map(([id, list]) => ({ id, titulo: list[0] && list[0].titulo, subscribers: list.length }));
+
+  // Cursos con inscripción abierta que tienen gente esperando:
+  // → [{ curso, key, subscriber }] (el curso puede ser otra comisión abierta)
+  const pendingNotices = (cursos) => {
+    const notices = [];
+    const abiertos = cursos.filter((c) => OPEN_STATES.has(c.estado) && c.formulario);
+    for (const [key, list] of Object.entries(subs)) {
+      const propio = abiertos.find((c) => String(c.id) === key);
+      const titulo = (list[0] && list[0].titulo) || "";
+      const curso = propio || abiertos.find((c) => sameCourseTitle(c.titulo, titulo));
+      if (!curso) continue;
+      list.forEach((subscriber) => notices.push({ curso, key, subscriber }));
+    }
+    return notices;
+  };
+
+  // Baja de una suscripción ya avisada
+  const markNotified = (key, chatId) => unsubscribe(chatId, key);
+
+  return { subscribe, unsubscribe, byChat, list, pendingNotices, markNotified };
+};
+
+module.exports = {
+  OPEN_STATES,
+  wantsSubscribe,
+  wantsUnsubscribe,
+  createWaitlist
+};
@@ -0,0 +1,115 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * routes/admin-campanias.js – Campañas de difusión
+ * POST /admin/campanias            crear (destinatarios: archivo CSV/JSON
+ *                                  en multipart o array JSON en el body)
+ * GET  /admin/campanias            listado con totales por estado
+ * GET  /admin/campanias/:id        detalle con estado por destinatario
+ * POST /admin/campanias/:id/pausar | /reanudar | /cancelar
+ * GET  /admin/campanias/bajas      números que respondieron "BAJA"
+ * `sender`: sesión de WhatsApp que envía la campaña (default "default")
+ *──────────────────────────────────────────────────────────────────────*/
+
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { campaignError, parseCsv, parseJsonRecipients } = require("../helpers/campaigns");
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req).formatWith(({ msg }) => msg);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ status: false, message: errors.mapped() });
+  }
+  next();
+};
+
+const sendError = (res, err) => {
+  const status = err.status || 500;
+  res.status(status).json({ status: false, message: err.message, ...(err.details ? { details: err.details } : {}) });
+};
+
+// Filas de destinatarios según venga archivo (.csv / .json) o campo del body
+const readRows = (req) => {
+  const upload = req.files && req.files.destinatarios;
+  if (upload) {
+    const text = upload.data.toString("utf-8");
+    const isJson = /\.json$/i.test(upload.name) || /json/.test(upload.mimetype || "") || /^\s*\[/.test(text);
+    return isJson ? parseJsonRecipients(text) : parseCsv(text);
+  }
+  const value = req.body.destinatarios;
+  if (!value) throw campaignError(422, "Missing destinatarios (CSV/JSON file or array)");
+  if (typeof value === "string" && !/^\s*\[/.test(value)) return parseCsv(value);
+  return parseJsonRecipients(value);
+};
+
+// catalogFor(sesión) → catálogo del asistente de esa sesión (o null si es send-only)
+module.exports = ({ campaigns, catalogFor, waSessions, optOut, requireAdmin }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get("/", (_req, res) => {
+    res.status(200).json({ status: true, response: campaigns.list() });
+  });
+
+  router.get("/bajas", (_req, res) => {
+    res.status(200).json({ status: true, response: optOut.list() });
+  });
+
+  router.post("/", [
+    body("mensaje").isString().bail().trim().notEmpty(),
+    body("programada").optional({ checkFalsy: true }).isISO8601().withMessage("Use an ISO 8601 date"),
+    body("sender").optional().custom((id) => {
+      if (!waSessions.has(id)) throw new Error(`The sender: ${id} is not found!`);
+      return true;
+    })
+  ], validate, (req, res) => {
+    try {
+      const sender = req.body.sender || "default";
+      let curso = null;
+      if (req.body.curso !== undefined && req.body.curso !== "") {
+        const catalog = catalogFor(sender) || catalogFor("default");
+        curso = catalog.get().cursos.find((c) => String(c.id) === String(req.body.curso));
+        if (!curso) throw campaignError(404, "Course not found: " + req.body.curso);
+      }
+      let rows;
+      try {
+        rows = readRows(req);
+      } catch (err) {
+        throw err.status ? err : campaignError(422, "Invalid recipients: " + err.message);
+      }
+      const campaign = campaigns.create({
+        nombre: req.body.nombre,
+        mensaje: req.body.mensaje,
+        curso,
+        programada: req.body.programada || null,
+        sender,
+        rows
+      });
+      res.status(201).json({ status: true, response: campaigns.get(campaign.id) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    try {
+      res.status(200).json({ status: true, response: campaigns.get(req.params.id) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  const action = (method) => (req, res) => {
+    try {
+      res.status(200).json({ status: true, response: campaigns[method](req.params.id) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  router.post("/:id/pausar", action("pause"));
+  router.post("/:id/reanudar", action("resume"));
+  router.post("/:id/cancelar", action("cancel"));
+
+  return router;
+};
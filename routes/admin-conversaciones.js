@@ -0,0 +1,40 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * routes/admin-conversaciones.js – Memoria de conversación por chat
+ *──────────────────────────────────────────────────────────────────────*/
+
+const express = require("express");
+
+// ?sender=<sesión> para las conversaciones de otra cuenta (default "default")
+module.exports = ({ sessions, requireAdmin, phoneNumberFormatter, conversationKey }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // Número inválido → 422 con el detalle del formateador
+  router.param("number", (req, res, next, number) => {
+    try {
+      req.chatId = conversationKey(req.query.sender, phoneNumberFormatter(number));
+      next();
+    } catch (err) {
+      res.status(err.status || 422).json({ status: false, message: err.message, details: err.details });
+    }
+  });
+
+  // Ver la memoria guardada de un número
+  router.get("/:number", async (req, res) => {
+    const chatId = req.chatId;
+    const state = await sessions.get(chatId);
+    if (!state) return res.status(404).json({ status: false, message: "No conversation for " + chatId });
+    res.status(200).json({ status: true, response: { chatId, state } });
+  });
+
+  // Reiniciar la conversación (historial + último curso sugerido)
+  router.delete("/:number", async (req, res) => {
+    const chatId = req.chatId;
+    const existed = await sessions.delete(chatId);
+    res.status(200).json({ status: true, response: { chatId, reset: !!existed } });
+  });
+
+  return router;
+};
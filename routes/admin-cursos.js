@@ -0,0 +1,163 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * routes/admin-cursos.js – ABM de cursos y cambios de estado
+ * Todas las rutas requieren ADMIN_TOKEN. Cada escritura se guarda en el
+ * JSON del catálogo y se aplica al bot en el momento (catalog.update).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const express = require("express");
+const { body, param, validationResult } = require("express-validator");
+const { COURSE_FIELDS, KNOWN_STATES, normalizeEstado } = require("../helpers/cursos");
+const { catalogError } = require("../helpers/catalog");
+
+// Solo los campos conocidos de la ficha; el resto se descarta
+const pickFields = (src) => {
+  const out = {};
+  for (const key of COURSE_FIELDS) {
+    if (src[key] !== undefined) out[key] = src[key];
+  }
+  return out;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req).formatWith(({ msg }) => msg);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ status: false, message: errors.mapped() });
+  }
+  next();
+};
+
+// El estado debe ser uno de los que entiende el bot (ELIGIBLE_STATES + filtro duro)
+const estadoValidator = (field, optional) => {
+  const chain = body(field);
+  return (optional ? chain.optional() : chain.notEmpty())
+    .bail()
+    .custom((value) => {
+      if (!KNOWN_STATES.has(normalizeEstado(value))) {
+        throw new Error(`Invalid estado, use one of: ${[...KNOWN_STATES].join(", ")}`);
+      }
+      return true;
+    });
+};
+
+const sendError = (res, err) => {
+  const status = err.status || 500;
+  res.status(status).json({ status: false, message: err.message, ...(err.details ? { details: err.details } : {}) });
+};
+
+module.exports = ({ catalog, requireAdmin }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // Recarga manual desde disco
+  router.post("/reload", (_req, res) => {
+    const result = catalog.reload("manual");
+    res.status(result.ok ? 200 : 422).json({ status: result.ok, response: result });
+  });
+
+  // Listar (ficha saneada con el estado efectivo, tal como la ve el bot)
+  router.get("/", (_req, res) => {
+    res.status(200).json({ status: true, response: catalog.get().cursos });
+  });
+
+  // Obtener una ficha (JSON crudo)
+  router.get("/:id", (req, res) => {
+    try {
+      const curso = catalog.readRaw().find((c) => sameId(c.id, req.params.id));
+      if (!curso) return res.status(404).json({ status: false, message: "Course not found" });
+      res.status(200).json({ status: true, response: curso });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Crear
+  router.post("/", [
+    body("titulo").isString().bail().trim().notEmpty(),
+    estadoValidator("estado", true),
+    validate
+  ], (req, res) => {
+    catalog.update((entries) => {
+      const curso = pickFields(req.body);
+      if (curso.id === undefined) {
+        curso.id = entries.reduce((max, c) => Math.max(max, Number(c.id) || 0), 0) + 1;
+      } else if (entries.some((c) => sameId(c.id, curso.id))) {
+        throw catalogError(409, `Course id ${curso.id} already exists`);
+      }
+      curso.estado = normalizeEstado(curso.estado || "proximo");
+      return { entries: [...entries, curso], result: curso };
+    }, "alta de curso")
+      .then((curso) => res.status(201).json({ status: true, response: curso }))
+      .catch((err) => sendError(res, err));
+  });
+
+  // Actualizar (reemplazo parcial de campos; el id no se modifica)
+  router.put("/:id", [
+    body("titulo").optional().isString().bail().trim().notEmpty(),
+    estadoValidator("estado", true),
+    validate
+  ], (req, res) => {
+    catalog.update((entries) => {
+      const index = entries.findIndex((c) => sameId(c.id, req.params.id));
+      if (index === -1) throw catalogError(404, "Course not found");
+      const changes = pickFields(req.body);
+      delete changes.id;
+      if (changes.estado !== undefined) changes.estado = normalizeEstado(changes.estado);
+      if (changes.estado_manual) changes.estado_manual = normalizeEstado(changes.estado_manual);
+      const curso = { ...entries[index], ...changes };
+      const next = entries.slice();
+      next[index] = curso;
+      return { entries: next, result: curso };
+    }, "edición de curso")
+      .then((curso) => res.status(200).json({ status: true, response: curso }))
+      .catch((err) => sendError(res, err));
+  });
+
+  // Cambio de estado dedicado.
+  // manual=true fija un override (estado_manual) que gana a las fechas;
+  // manual=false lo quita y cambia el estado base; sin `manual` se edita
+  // el override si existe, o el estado base si no.
+  router.post("/:id/estado", [
+    param("id").notEmpty(),
+    estadoValidator("estado", false),
+    body("manual").optional().isBoolean(),
+    validate
+  ], (req, res) => {
+    catalog.update((entries) => {
+      const index = entries.findIndex((c) => sameId(c.id, req.params.id));
+      if (index === -1) throw catalogError(404, "Course not found");
+      const estado = normalizeEstado(req.body.estado);
+      const manual = req.body.manual === undefined
+        ? !!entries[index].estado_manual
+        : req.body.manual === true || req.body.manual === "true";
+      const curso = { ...entries[index] };
+      if (manual) {
+        curso.estado_manual = estado;
+      } else {
+        delete curso.estado_manual;
+        curso.estado = estado;
+      }
+      const next = entries.slice();
+      next[index] = curso;
+      return { entries: next, result: curso };
+    }, "cambio de estado")
+      .then((curso) => res.status(200).json({ status: true, response: curso }))
+      .catch((err) => sendError(res, err));
+  });
+
+  // Eliminar
+  router.delete("/:id", (req, res) => {
+    catalog.update((entries) => {
+      const curso = entries.find((c) => sameId(c.id, req.params.id));
+      if (!curso) throw catalogError(404, "Course not found");
+      return { entries: entries.filter((c) => c !== curso), result: curso };
+    }, "baja de curso")
+      .then((curso) => res.status(200).json({ status: true, response: curso }))
+      .catch((err) => sendError(res, err));
+  });
+
+  return router;
+};
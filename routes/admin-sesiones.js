@@ -0,0 +1,54 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * routes/admin-sesiones.js – Cuentas de WhatsApp (ver helpers/wa-sessions.js)
+ * GET    /admin/sesiones                  listado con estado en vivo
+ * POST   /admin/sesiones                  crear { id, description, profile, catalog }
+ * GET    /admin/sesiones/:id              una sesión
+ * POST   /admin/sesiones/:id/reiniciar    cerrar el navegador y volver a iniciar
+ * POST   /admin/sesiones/:id/cerrar-sesion desvincular el teléfono (pide QR nuevo)
+ * DELETE /admin/sesiones/:id              desvincular y borrar sus datos
+ *──────────────────────────────────────────────────────────────────────*/
+
+const express = require("express");
+
+const sendError = (res, err) => {
+  res.status(err.status || 500).json({ status: false, message: err.message });
+};
+
+module.exports = ({ waSessions, requireAdmin }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get("/", (_req, res) => {
+    res.status(200).json({ status: true, response: waSessions.list() });
+  });
+
+  router.post("/", (req, res) => {
+    try {
+      res.status(201).json({ status: true, response: waSessions.add(req.body || {}) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    const session = waSessions.list().find((s) => s.id === req.params.id);
+    if (!session) return res.status(404).json({ status: false, message: `Session ${req.params.id} not found` });
+    res.status(200).json({ status: true, response: session });
+  });
+
+  const action = (method) => async (req, res) => {
+    try {
+      res.status(200).json({ status: true, response: await waSessions[method](req.params.id) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  router.post("/:id/reiniciar", action("restart"));
+  router.post("/:id/cerrar-sesion", action("logout"));
+  router.delete("/:id", action("remove"));
+
+  return router;
+};
@@ -0,0 +1,40 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * routes/admin-templates.js – Vista previa del prompt y respuestas fijas
+ * ?fecha=AAAA-MM-DD permite ver qué campañas estarían activas ese día.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const express = require("express");
+
+// ?fecha → Date (mediodía local para evitar bordes de zona horaria)
+const parseFecha = (value) => {
+  if (!value) return new Date();
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T12:00:00-03:00` : value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+module.exports = ({ templates, requireAdmin }) => {
+  const router = express.Router();
+
+  // Prompt final tal como se enviaría al modelo, más el estado de cada sección
+  router.get("/prompt/preview", requireAdmin, (req, res) => {
+    const now = parseFecha(req.query.fecha);
+    if (!now) return res.status(422).json({ status: false, message: "Invalid fecha" });
+
+    const secciones = templates.promptSections(now).map(({ body, ...s }) => ({ ...s, chars: body.length }));
+    res.status(200).json({
+      status: true,
+      response: { fecha: now.toISOString(), secciones, prompt: templates.assemblePrompt(now) }
+    });
+  });
+
+  // Respuestas fijas y si están activas
+  router.get("/respuestas", requireAdmin, (req, res) => {
+    const now = parseFecha(req.query.fecha);
+    if (!now) return res.status(422).json({ status: false, message: "Invalid fecha" });
+    res.status(200).json({ status: true, response: templates.replies(now) });
+  });
+
+  return router;
+};
@@ -0,0 +1,36 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * routes/admin-transcripts.js – Búsqueda en el registro de conversaciones
+ * GET /admin/transcripts?number=&from=&to=&curso=&limit=&offset=
+ * Admin ve los números completos; viewer los ve enmascarados.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { maskRecord } = require("../helpers/transcripts");
+
+module.exports = ({ transcripts, requireRole }) => {
+  const router = express.Router();
+
+  router.get("/", requireRole("admin", "viewer"), [
+    query("limit").optional().isInt({ min: 1, max: 500 }).toInt(),
+    query("offset").optional().isInt({ min: 0 }).toInt()
+  ], async (req, res) => {
+    const errors = validationResult(req).formatWith(({ msg }) => msg);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ status: false, message: errors.mapped() });
+    }
+
+    try {
+      const { number, from, to, curso, limit, offset } = req.query;
+      const result = await transcripts.search({ number, from, to, curso, limit, offset });
+      const items = req.role === "admin" ? result.items : result.items.map(maskRecord);
+      res.status(200).json({ status: true, response: { total: result.total, items } });
+    } catch (err) {
+      res.status(err.status || 500).json({ status: false, message: err.message });
+    }
+  });
+
+  return router;
+};
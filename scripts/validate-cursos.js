@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * scripts/validate-cursos.js – Reporte de validación del catálogo
+ * Uso: npm run validate:cursos -- [archivo.json] [--strict] [--json]
+ *   --strict  también falla con advertencias
+ *   --json    imprime el reporte completo en JSON
+ * Sale con código 1 si hay errores (o advertencias con --strict).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+const { validateCatalog, formatReport } = require("../helpers/catalog-schema");
+
+const args   = process.argv.slice(2);
+const strict = args.includes("--strict");
+const asJson = args.includes("--json");
+const file   = path.resolve(args.find((a) => !a.startsWith("--")) || path.join(__dirname, "..", "cursos_2025.json"));
+
+let entries;
+try {
+  entries = JSON.parse(fs.readFileSync(file, "utf-8"));
+} catch (e) {
+  console.error(`❌ No se pudo leer ${file}: ${e.message}`);
+  process.exit(1);
+}
+
+const result = validateCatalog(entries);
+
+if (asJson) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  console.log(`Catálogo: ${file}\n`);
+  console.log(formatReport(result));
+}
+
+const failed = !result.ok || (strict && result.counts.warning > 0);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,191 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/harness.js – Camila sin WhatsApp ni OpenAI reales
+ * - createMockWhatsApp(): cliente falso; receive(from, body) dispara
+ *   "message" y espera a los handlers; sendMessage() guarda lo enviado.
+ * - createMockOpenAI(): chat.completions.create devuelve las respuestas
+ *   encoladas (o lanza si se encoló un Error) y registra cada pedido.
+ * - createTestBot(): arma el pipeline de helpers/camila.js con un
+ *   catálogo de prueba y lo conecta al cliente falso. El modelo simulado
+ *   es el proveedor "openai"; `fallback` agrega respaldos (ej. ["reglas"]).
+ *   Los flyers (curso.imagen) se buscan en test/fixtures/, como en app.js.
+ * - runScenario(): corre un diálogo (JSON/YAML) y devuelve los fallos.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const EventEmitter = require("events");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const { createCatalog } = require("../helpers/catalog");
+const { createTemplateStore } = require("../helpers/templates");
+const { createIntentRouter } = require("../helpers/intents");
+const { createWaitlist } = require("../helpers/waitlist");
+const { createRetriever } = require("../helpers/retrieval");
+const { createCamila } = require("../helpers/camila");
+const { createLLM, createChatProvider, createRulesProvider } = require("../helpers/llm");
+const { createFlyerStore } = require("../helpers/flyers");
+
+const DEFAULT_FROM = "5493880000000@c.us";
+const quiet = { log() {}, warn() {}, error() {} };
+
+const createMockWhatsApp = () => {
+  const client = new EventEmitter();
+  client.sent = [];
+
+  // content: texto o adjunto ({ mimetype, data, filename }) con options.caption
+  client.sendMessage = async (chatId, content, options = {}) => {
+    const media = typeof content === "string" ? null : content;
+    const message = { id: { _serialized: `mock_${client.sent.length + 1}` }, ack: 1, to: chatId, body: media ? options.caption || "" : content, media };
+    client.sent.push(message);
+    return message;
+  };
+
+  client.receive = async (from, body) => {
+    const msg = { from, body, fromMe: false };
+    await Promise.all(client.listeners("message").map((fn) => fn(msg)));
+  };
+
+  return client;
+};
+
+const createMockOpenAI = () => {
+  const queue = [];
+  const calls = [];
+  return {
+    queue,
+    calls,
+    chat: {
+      completions: {
+        create: async (request) => {
+          calls.push(request);
+          if (!queue.length) throw new Error("Mock OpenAI: no hay respuesta encolada para este pedido");
+          const next = queue.shift();
+          if (next instanceof Error) throw next;
+          return { choices: [{ message: { role: "assistant", content: next } }] };
+        }
+      }
+    }
+  };
+};
+
+// Catálogo, plantillas y memoria en limpio para cada escenario
+const createTestBot = ({ catalogFile, whatsapp = createMockWhatsApp(), openai = createMockOpenAI(), fallback = [] } = {}) => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "camila-test-"));
+  const catalog = createCatalog({ file: catalogFile, logger: quiet });
+  catalog.reload("test");
+  const templates = createTemplateStore({ logger: quiet });
+  const respaldos = { reglas: createRulesProvider };
+  const llm = createLLM({
+    providers: [
+      createChatProvider({ name: "openai", client: openai, model: "gpt-4o-mini" }),
+      ...fallback.map((name) => {
+        if (!respaldos[name]) throw new Error(`Proveedor de respaldo desconocido en el escenario: ${name}`);
+        return respaldos[name]();
+      })
+    ],
+    cooldownMs: 0,
+    logger: quiet
+  });
+  const retriever = createRetriever({ logger: quiet });
+  const camila = createCamila({
+    templates,
+    intentRouter: createIntentRouter({ templates, matchCourse: retriever.directMatch, findCourses: retriever.search }),
+    waitlist: createWaitlist({ file: path.join(tmpDir, "waitlist.json") }),
+    retriever,
+    llm,
+    logger: quiet
+  });
+
+  const flyers = createFlyerStore({ dir: path.join(__dirname, "fixtures"), logger: quiet });
+  const states = new Map();
+  const results = [];
+
+  whatsapp.on("message", async (msg) => {
+    const state = states.get(msg.from) || { history: [], lastSuggestedCourse: null };
+    const result = await camila.reply(msg.body, state, { key: msg.from, catalog });
+    states.set(msg.from, state);
+    const flyer = result.flyer ? await flyers.load(result.flyer) : null;
+    if (flyer) await whatsapp.sendMessage(msg.from, flyer, { caption: result.reply });
+    else await whatsapp.sendMessage(msg.from, result.reply);
+    results.push(result);
+  });
+
+  // Un turno completo → { result, sent }
+  const say = async (from, text) => {
+    await whatsapp.receive(from, text);
+    return { result: results[results.length - 1], sent: whatsapp.sent[whatsapp.sent.length - 1] };
+  };
+
+  const close = () => fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  return { whatsapp, openai, catalog, say, close };
+};
+
+const list = (value) => (value === undefined ? [] : [].concat(value));
+
+// expect: { via, proveedor, intencion, flyer, handoff, contains, notContains, matches, modelCalled, candidates }
+const checkTurn = (expect = {}, { result, sent, modelCalls }) => {
+  const failures = [];
+  const reply = result.reply;
+  if (!sent || sent.body !== reply) failures.push("la respuesta no se envió por WhatsApp");
+  if (expect.via !== undefined && result.via !== expect.via) failures.push(`via: esperaba "${expect.via}", fue "${result.via}"`);
+  if (expect.proveedor !== undefined && result.proveedor !== expect.proveedor) failures.push(`proveedor: esperaba "${expect.proveedor}", fue "${result.proveedor}"`);
+  if (expect.flyer !== undefined && !!(sent && sent.media) !== expect.flyer) failures.push(expect.flyer ? "no se envió el flyer" : "se envió un flyer");
+  if (expect.handoff !== undefined && !!result.handoff !== expect.handoff) failures.push(expect.handoff ? "no se pidió el modo humano" : "se pidió el modo humano");
+  if (expect.intencion !== undefined && result.intencion !== expect.intencion) failures.push(`intencion: esperaba "${expect.intencion}", fue "${result.intencion}"`);
+  list(expect.contains).forEach((t) => {
+    if (!reply.includes(t)) failures.push(`la respuesta no contiene "${t}"`);
+  });
+  list(expect.notContains).forEach((t) => {
+    if (reply.includes(t)) failures.push(`la respuesta contiene "${t}"`);
+  });
+  list(expect.matches).forEach((re) => {
+    if (!new RegExp(re, "i").test(reply)) failures.push(`la respuesta no coincide con /${re}/i`);
+  });
+  if (expect.modelCalled !== undefined && (modelCalls > 0) !== expect.modelCalled) {
+    failures.push(expect.modelCalled ? "no se llamó al modelo" : `se llamó al modelo (${modelCalls} veces)`);
+  }
+  const titles = (result.candidates || []).map((c) => c.titulo);
+  list(expect.candidates).forEach((t) => {
+    if (!titles.includes(t)) failures.push(`"${t}" no está entre los candidatos (${titles.join(", ") || "ninguno"})`);
+  });
+  if (failures.length) failures.push(`respuesta: ${JSON.stringify(reply)}`);
+  return failures;
+};
+
+// scenario: { name, catalog?, from?, fallback?, turns: [{ user, model?, modelError?, expect }] }
+// `catalog` es relativo al archivo del escenario (default test/fixtures/cursos.json)
+const runScenario = async (scenario, { baseDir = __dirname } = {}) => {
+  const catalogFile = scenario.catalog
+    ? path.resolve(baseDir, scenario.catalog)
+    : path.join(__dirname, "fixtures", "cursos.json");
+  const bot = createTestBot({ catalogFile, fallback: [].concat(scenario.fallback || []) });
+  const from = scenario.from || DEFAULT_FROM;
+  const failures = [];
+
+  try {
+    for (const [i, turn] of (scenario.turns || []).entries()) {
+      // model: texto o lista de textos; un objeto se envía como JSON (respuesta estructurada)
+      list(turn.model).forEach((reply) => bot.openai.queue.push(typeof reply === "string" ? reply : JSON.stringify(reply)));
+      if (turn.modelError) bot.openai.queue.push(new Error(turn.modelError));
+      const before = bot.openai.calls.length;
+
+      const { result, sent } = await bot.say(from, turn.user);
+      checkTurn(turn.expect, { result, sent, modelCalls: bot.openai.calls.length - before })
+        .forEach((f) => failures.push(`turno ${i + 1} ("${turn.user}"): ${f}`));
+    }
+    if (bot.openai.queue.length) failures.push(`quedaron ${bot.openai.queue.length} respuestas del modelo sin usar`);
+  } finally {
+    bot.close();
+  }
+  return failures;
+};
+
+module.exports = {
+  createMockWhatsApp,
+  createMockOpenAI,
+  createTestBot,
+  checkTurn,
+  runScenario
+};
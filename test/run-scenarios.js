@@ -0,0 +1,65 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/run-scenarios.js – Corre los diálogos de test/scenarios/
+ * Uso: npm test  ·  node test/run-scenarios.js [archivo o filtro por nombre]
+ * Escenarios en .json (o .yaml/.yml si está instalado js-yaml).
+ * Sale con código 1 si algún escenario falla.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+const { runScenario } = require("./harness");
+
+const SCENARIOS_DIR = path.join(__dirname, "scenarios");
+
+const loadScenario = (file) => {
+  const text = fs.readFileSync(file, "utf-8");
+  if (/\.ya?ml$/i.test(file)) {
+    let yaml;
+    try {
+      yaml = require("js-yaml");
+    } catch (_e) {
+      throw new Error("Para escenarios YAML instalá js-yaml (npm i -D js-yaml)");
+    }
+    return yaml.load(text);
+  }
+  return JSON.parse(text);
+};
+
+const main = async () => {
+  const filter = process.argv[2] || "";
+  const files = fs.existsSync(filter)
+    ? [path.resolve(filter)]
+    : fs.readdirSync(SCENARIOS_DIR)
+      .filter((f) => /\.(json|ya?ml)$/i.test(f) && f.includes(filter))
+      .sort()
+      .map((f) => path.join(SCENARIOS_DIR, f));
+
+  let failed = 0;
+  for (const file of files) {
+    const name = path.basename(file);
+    try {
+      const scenarios = [].concat(loadScenario(file));
+      for (const scenario of scenarios) {
+        const failures = await runScenario(scenario, { baseDir: path.dirname(file) });
+        const label = `${name} › ${scenario.name || "(sin nombre)"}`;
+        if (failures.length) {
+          failed++;
+          console.log(`✗ ${label}`);
+          failures.forEach((f) => console.log(`    ${f}`));
+        } else {
+          console.log(`✓ ${label}`);
+        }
+      }
+    } catch (err) {
+      failed++;
+      console.log(`✗ ${name}: ${err.message}`);
+    }
+  }
+
+  console.log(`\n${files.length} archivo(s), ${failed ? failed + " con fallos" : "todo OK"}`);
+  process.exit(failed ? 1 : 0);
+};
+
+main();
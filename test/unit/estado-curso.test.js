@@ -0,0 +1,38 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/estado-curso.test.js – Estado efectivo por fechas (helpers/estado-curso.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { computeEstado } = require("../../helpers/estado-curso");
+
+// 15/10/2026 12:00 en Jujuy (UTC-3)
+const NOW = new Date("2026-10-15T15:00:00Z");
+const curso = (fields) => ({ estado: "proximo", fecha_inicio: "2026-11-03", fecha_fin: "2026-12-15", ...fields });
+
+test("ventana de inscripción abierta", () => {
+  assert.deepStrictEqual(computeEstado(curso({ inscripcion_inicio: "2026-10-01", inscripcion_fin: "2026-10-30" }), NOW),
+    { estado: "inscripcion_abierta", origen: "fechas" });
+});
+
+test("inscripción vencida antes del inicio: cerrada, no cupo completo", () => {
+  assert.deepStrictEqual(computeEstado(curso({ inscripcion_inicio: "2026-09-01", inscripcion_fin: "2026-10-10" }), NOW),
+    { estado: "inscripcion_cerrada", origen: "fechas" });
+});
+
+test("inscripción vencida con el cupo lleno según la ficha", () => {
+  assert.strictEqual(computeEstado(curso({ estado: "cupo_completo", inscripcion_inicio: "2026-09-01", inscripcion_fin: "2026-10-10" }), NOW).estado, "cupo_completo");
+  assert.strictEqual(computeEstado(curso({ cupos: 0, inscripcion_inicio: "2026-09-01", inscripcion_fin: "2026-10-10" }), NOW).estado, "cupo_completo");
+});
+
+test("el curso ya empezó o terminó", () => {
+  assert.strictEqual(computeEstado(curso({ fecha_inicio: "2026-10-01", inscripcion_fin: "2026-09-30" }), NOW).estado, "en_curso");
+  assert.strictEqual(computeEstado(curso({ fecha_inicio: "2026-08-01", fecha_fin: "2026-10-01" }), NOW).estado, "finalizado");
+});
+
+test("estado_manual manda sobre las fechas", () => {
+  assert.deepStrictEqual(computeEstado(curso({ estado_manual: "ultimos cupos", inscripcion_fin: "2026-10-10" }), NOW),
+    { estado: "ultimos_cupos", origen: "manual" });
+});
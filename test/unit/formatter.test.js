@@ -0,0 +1,81 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/formatter.test.js – Normalización de números (helpers/formatter.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parsePhoneNumber, phoneNumberFormatter } = require("../../helpers/formatter");
+
+const JUJUY = "5493884123456@c.us";
+const ar = (value, options = {}) => parsePhoneNumber(value, { country: "AR", areaCode: "388", ...options });
+
+const ok = (value, chatId, options) => {
+  const result = ar(value, options);
+  assert.strictEqual(result.ok, true, `${value}: ${JSON.stringify(result.error)}`);
+  assert.strictEqual(result.chatId, chatId, value);
+};
+
+const invalid = (value, code, options) => {
+  const result = ar(value, options);
+  assert.strictEqual(result.ok, false, `${value} debería ser inválido (dio ${result.chatId})`);
+  assert.strictEqual(result.error.code, code, value);
+};
+
+test("con y sin el 9 de celular", () => {
+  ok("+54 9 388 412-3456", JUJUY);
+  ok("5493884123456", JUJUY);
+  ok("+54 388 412-3456", JUJUY);
+  ok("543884123456", JUJUY);
+  ok("0054 9 11 2345-6789", "5491123456789@c.us");
+});
+
+test("el 9 tiene que ir seguido de exactamente 10 dígitos", () => {
+  invalid("549388412345", "invalid_length");       // falta un dígito
+  invalid("+54 9 388 41234567", "invalid_length"); // sobra un dígito
+  invalid("+54 9 388 15 4123456", "invalid_length");
+  invalid("+54 9 9 388 4123456", "invalid_length");
+});
+
+test("con y sin 15", () => {
+  ok("0388 15 412-3456", JUJUY);
+  ok("+54 388 15 4123456", JUJUY);
+  ok("388 15 4123456", JUJUY);
+  ok("15 4123456", JUJUY);
+  ok("4123456", JUJUY);
+  ok("011 15 2345-6789", "5491123456789@c.us");
+});
+
+test("0 de larga distancia: con, sin o mal ubicado", () => {
+  ok("0388 4123456", JUJUY);
+  ok("388 4123456", JUJUY);
+  ok("+54 0388 4123456", JUJUY);
+  invalid("+54 9 0388 4123456", "invalid_length");
+  invalid("388 0 4123456", "invalid_length");
+});
+
+test("muy corto o muy largo", () => {
+  invalid("412345", "invalid_length");
+  invalid("38841234567", "invalid_length");
+  invalid("0388 15 412345678", "invalid_length");
+  invalid("", "empty");
+  invalid("+1 23", "invalid_length");
+});
+
+test("número local sin característica configurada", () => {
+  invalid("15 4123456", "missing_area_code", { areaCode: "" });
+});
+
+test("chatId ya armado", () => {
+  ok(JUJUY, JUJUY);
+  ok("5491123456789@c.us", "5491123456789@c.us");
+  invalid("5499388412345@c.us", "invalid_length");
+  invalid("549388412345@c.us", "invalid_length");
+  ok("628123456789@c.us", "628123456789@c.us");    // otro país, se respeta
+});
+
+test("phoneNumberFormatter lanza 422 con el código del error", () => {
+  assert.strictEqual(phoneNumberFormatter("+54 9 388 4123456", { country: "AR" }), JUJUY);
+  assert.throws(() => phoneNumberFormatter("549388412345", { country: "AR" }), (err) => err.status === 422 && err.code === "invalid_length");
+});
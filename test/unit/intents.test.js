@@ -0,0 +1,55 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/intents.test.js – Respuestas fijas por intención (helpers/intents.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createIntentRouter } = require("../../helpers/intents");
+const { createRetriever } = require("../../helpers/retrieval");
+const cursos = require("../fixtures/cursos.json");
+
+const quiet = { log() {}, warn() {}, error() {} };
+const templates = { reply: (name) => `[${name}]` };
+const retriever = createRetriever({ logger: quiet });
+const router = createIntentRouter({ templates, matchCourse: retriever.directMatch, findCourses: retriever.search });
+const intentOf = (text) => {
+  const match = router.match(text, { cursos });
+  return match ? match.intent : null;
+};
+
+test("planificación 2026: preguntas por la oferta completa", () => {
+  [
+    "hay cursos?",
+    "Qué cursos hay?",
+    "que cursos tienen disponibles",
+    "cuales capacitaciones estan dando",
+    "oferta de cursos",
+    "hay cursos en Palpalá?",
+    "van a dar nuevos talleres este año?",
+    "cursos 2026"
+  ].forEach((text) => assert.strictEqual(intentOf(text), "planificacion_2026", text));
+});
+
+test("planificación 2026: un dato puntual de un curso va al modelo", () => {
+  [
+    "que requisitos tiene el curso de maquillaje",
+    "que dias es el curso de panaderia",
+    "hay que llevar materiales al curso?",
+    "el curso de electricidad tiene cupos disponibles?",
+    "a que hora es el taller de cocina",
+    "donde queda la sede del curso",
+    "pasame el link del curso de electricidad"
+  ].forEach((text) => assert.strictEqual(intentOf(text), null, text));
+});
+
+test("planificación 2026: si la búsqueda encuentra el curso va al modelo", () => {
+  ["hay cursos de peluqueria?", "hay cursos de peluqueria y barberia?", "que cursos de informatica basica hay"]
+    .forEach((text) => assert.strictEqual(intentOf(text), null, text));
+});
+
+test("el matcher del filtro duro también apaga la intención de la Expo", () => {
+  assert.strictEqual(intentOf("como me inscribo en la expo"), "expo");
+  assert.strictEqual(intentOf("me quiero inscribir en soldadura en la expo"), null);
+});
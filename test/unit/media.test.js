@@ -0,0 +1,84 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/media.test.js – Filtro SSRF y límites de descarga (helpers/media.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PassThrough } = require("stream");
+const { isBlockedAddress, readLimited, fetchRemote } = require("../../helpers/media");
+
+test("bloquea IPv4 privadas, loopback y link-local", () => {
+  ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "0.0.0.0", "100.64.0.1"]
+    .forEach((ip) => assert.strictEqual(isBlockedAddress(ip), true, ip));
+  assert.strictEqual(isBlockedAddress("8.8.8.8"), false);
+});
+
+test("bloquea IPv6 locales", () => {
+  ["::", "::1", "fe80::1", "fec0::1", "fc00::1", "fd12:3456::1", "ff02::1"]
+    .forEach((ip) => assert.strictEqual(isBlockedAddress(ip), true, ip));
+  assert.strictEqual(isBlockedAddress("2606:4700:4700::1111"), false);
+});
+
+test("IPv4 mapeada: forma con puntos y forma hexadecimal (la que deja new URL)", () => {
+  assert.strictEqual(isBlockedAddress("::ffff:127.0.0.1"), true);
+  assert.strictEqual(isBlockedAddress("::ffff:7f00:1"), true);
+  assert.strictEqual(isBlockedAddress("::ffff:a9fe:a9fe"), true); // 169.254.169.254
+  assert.strictEqual(isBlockedAddress("0:0:0:0:0:ffff:7f00:1"), true);
+  assert.strictEqual(isBlockedAddress("::ffff:808:808"), false);  // 8.8.8.8
+});
+
+test("IPv4 compatible (::/96)", () => {
+  assert.strictEqual(isBlockedAddress("::7f00:1"), true);
+  assert.strictEqual(isBlockedAddress("::127.0.0.1"), true);
+  assert.strictEqual(isBlockedAddress("::a00:1"), true);           // 10.0.0.1
+});
+
+test("NAT64 (64:ff9b::/96 y 64:ff9b:1::/48) y 6to4", () => {
+  assert.strictEqual(isBlockedAddress("64:ff9b::7f00:1"), true);
+  assert.strictEqual(isBlockedAddress("64:ff9b::127.0.0.1"), true);
+  assert.strictEqual(isBlockedAddress("64:ff9b::c0a8:101"), true); // 192.168.1.1
+  assert.strictEqual(isBlockedAddress("64:ff9b:1::1"), true);
+  assert.strictEqual(isBlockedAddress("64:ff9b::808:808"), false); // 8.8.8.8
+  assert.strictEqual(isBlockedAddress("2002:7f00:1::1"), true);
+});
+
+test("fetchRemote rechaza las formas IPv6 de loopback antes de conectar", async () => {
+  const urls = [
+    "http://[::ffff:127.0.0.1]:8080/a.png",
+    "http://[::ffff:7f00:1]/a.png",
+    "http://[::7f00:1]/a.png",
+    "http://[64:ff9b::127.0.0.1]/a.png",
+    "http://[::1]/a.png"
+  ];
+  for (const url of urls) {
+    await assert.rejects(fetchRemote(url), (err) => err.status === 403, url);
+  }
+});
+
+test("readLimited corta por tamaño", async () => {
+  const stream = new PassThrough();
+  const reading = readLimited(stream, 10, 1000);
+  stream.write(Buffer.alloc(11));
+  await assert.rejects(reading, (err) => err.status === 413);
+});
+
+test("readLimited corta un cuerpo lento por tiempo total", async () => {
+  const stream = new PassThrough();
+  const reading = readLimited(stream, 1024, 50);
+  const goteo = setInterval(() => stream.write("x"), 10);
+  try {
+    await assert.rejects(reading, (err) => err.status === 504);
+    assert.strictEqual(stream.destroyed, true);
+  } finally {
+    clearInterval(goteo);
+  }
+});
+
+test("readLimited devuelve el cuerpo completo", async () => {
+  const stream = new PassThrough();
+  const reading = readLimited(stream, 1024, 1000);
+  stream.end("hola");
+  assert.strictEqual((await reading).toString(), "hola");
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/outbox.test.js – Cola de salida (helpers/outbox.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const { createOutbox } = require("../../helpers/outbox");
+
+const quiet = { log() {}, warn() {}, error() {} };
+const tmpFile = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "outbox.json");
+};
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("un envío que no responde se corta y se reintenta", async (t) => {
+  const calls = [];
+  const outbox = createOutbox({
+    file: tmpFile(t),
+    sendTimeoutMs: 30,
+    logger: quiet,
+    send: (m) => {
+      calls.push(m.id);
+      return calls.length === 1 ? new Promise(() => {}) : Promise.resolve({ id: { _serialized: "wa_1" }, ack: 1 });
+    }
+  });
+  t.after(() => outbox.close());
+
+  const { message } = outbox.enqueue({ chatId: "5493884123456@c.us", content: "hola" });
+  await sleep(80);
+  const colgado = outbox.status(message.id);
+  assert.strictEqual(colgado.estado, "pendiente");
+  assert.strictEqual(colgado.attempts, 1);
+  assert.match(colgado.lastError, /sin respuesta/);
+
+  outbox.kick();
+  const enviado = await outbox.whenSent(message.id);
+  assert.strictEqual(enviado.estado, "enviado");
+  assert.strictEqual(calls.length, 2);
+});
+
+test("el adjunto se guarda fuera del JSON y se borra al enviarse", async (t) => {
+  const file = tmpFile(t);
+  const mediaFile = (id) => path.join(path.dirname(file), "outbox-media", id);
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const received = [];
+  const outbox = createOutbox({
+    file,
+    logger: quiet,
+    send: async (m) => {
+      await gate;
+      received.push(m.media);
+      return { id: { _serialized: "wa_2" }, ack: 1 };
+    }
+  });
+  t.after(() => outbox.close());
+
+  const data = Buffer.from("imagen de prueba").toString("base64");
+  const { message } = outbox.enqueue({ chatId: "5493884123456@c.us", content: { media: { mimetype: "image/png", data, filename: "a.png" } } });
+  outbox.close(); // fuerza la escritura
+  const saved = fs.readFileSync(file, "utf-8");
+  assert.ok(!saved.includes(data), "el base64 no va en outbox.json");
+  assert.strictEqual(fs.readFileSync(mediaFile(message.id), "utf-8"), data);
+
+  release();
+  await outbox.whenSent(message.id);
+  assert.deepStrictEqual(received, [{ mimetype: "image/png", filename: "a.png", data }]);
+  await sleep(20);
+  assert.strictEqual(fs.existsSync(mediaFile(message.id)), false);
+});
+
+test("los registros viejos con el adjunto adentro se migran al abrir", (t) => {
+  const file = tmpFile(t);
+  const data = Buffer.from("viejo").toString("base64");
+  fs.writeFileSync(file, JSON.stringify({ messages: {
+    a1: { id: "a1", seq: 1, chatId: "x@c.us", estado: "pendiente", attempts: 0, media: { mimetype: "image/png", data, filename: "a.png" } },
+    b2: { id: "b2", seq: 2, chatId: "x@c.us", estado: "fallido", attempts: 8, media: { mimetype: "image/png", data, filename: "b.png" } }
+  } }));
+
+  const outbox = createOutbox({ file, logger: quiet, canSend: () => false, send: async () => ({}) });
+  outbox.close();
+  const saved = JSON.parse(fs.readFileSync(file, "utf-8")).messages;
+  assert.deepStrictEqual(saved.a1.media, { mimetype: "image/png", filename: "a.png" });
+  assert.strictEqual(saved.b2.media, undefined);
+  assert.strictEqual(fs.readFileSync(path.join(path.dirname(file), "outbox-media", "a1"), "utf-8"), data);
+});
+
+test("un reintento pendiente no es adelantado por mensajes posteriores del mismo chat", async (t) => {
+  const delivered = [];
+  let fallas = 1;
+  const outbox = createOutbox({
+    file: tmpFile(t),
+    logger: quiet,
+    send: async (m) => {
+      if (m.body === "A" && fallas-- > 0) throw new Error("desconectado");
+      delivered.push(`${m.chatId}:${m.body}`);
+      return { id: { _serialized: `wa_${m.body}` }, ack: 1 };
+    }
+  });
+  t.after(() => outbox.close());
+
+  const a = outbox.enqueue({ chatId: "1@c.us", content: "A" }).message;
+  await sleep(20); // A falló y espera su reintento
+  assert.strictEqual(outbox.status(a.id).attempts, 1);
+  const b = outbox.enqueue({ chatId: "1@c.us", content: "B" }).message;
+  const otro = outbox.enqueue({ chatId: "2@c.us", content: "C" }).message;
+  await outbox.whenSent(otro.id);
+  assert.deepStrictEqual(delivered, ["2@c.us:C"], "otro chat no espera, B sí");
+  assert.strictEqual(outbox.status(b.id).estado, "pendiente");
+
+  outbox.kick();
+  await outbox.whenSent(b.id);
+  assert.deepStrictEqual(delivered, ["2@c.us:C", "1@c.us:A", "1@c.us:B"]);
+});
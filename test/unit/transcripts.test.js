@@ -0,0 +1,35 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/transcripts.test.js – Enmascarado de teléfonos (helpers/transcripts.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { maskPhone, maskText, maskRecord } = require("../../helpers/transcripts");
+
+test("maskPhone deja el prefijo y los dos últimos dígitos", () => {
+  assert.strictEqual(maskPhone("5493884123456@c.us"), "549388*****56");
+  assert.strictEqual(maskPhone("3884123456"), "388*****56");
+});
+
+test("maskText oculta teléfonos escritos en el texto", () => {
+  assert.strictEqual(maskText("mi numero es 388 412-3456"), "mi numero es 388*****56");
+  assert.strictEqual(maskText("llamame al +54 9 388 4123456"), "llamame al 549388*****56");
+});
+
+test("maskText no toca fechas ni números cortos", () => {
+  assert.strictEqual(maskText("empieza el 2025-11-03 a las 9"), "empieza el 2025-11-03 a las 9");
+  assert.strictEqual(maskText("del 2025-11-03 al 2025-12-15"), "del 2025-11-03 al 2025-12-15");
+  assert.strictEqual(maskText("mi dni es 12345678"), "mi dni es 12345678");
+  assert.strictEqual(maskText("cuesta 1500-2000"), "cuesta 1500-2000");
+});
+
+test("maskText separa una fecha pegada a un teléfono", () => {
+  assert.strictEqual(maskText("3884123456 2025-11-03"), "388*****56 2025-11-03");
+});
+
+test("maskRecord enmascara chatId y textos", () => {
+  const r = maskRecord({ chatId: "5493884123456@c.us", user: "soy 3884123456", reply: "Inicio: 2026-11-03" });
+  assert.deepStrictEqual(r, { chatId: "549388*****56@c.us", user: "soy 388*****56", reply: "Inicio: 2026-11-03" });
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/unit/waitlist.test.js – Avisos de apertura (helpers/waitlist.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const { createWaitlist } = require("../../helpers/waitlist");
+
+const quiet = { log() {}, warn() {}, error() {} };
+const tmpWaitlist = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "waitlist-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createWaitlist({ file: path.join(dir, "waitlist.json"), logger: quiet });
+};
+const abierto = (id, titulo) => ({ id, titulo, estado: "inscripcion_abierta", formulario: `https://forms.gle/${id}` });
+
+test("avisa cuando abre el mismo curso (por id)", (t) => {
+  const waitlist = tmpWaitlist(t);
+  waitlist.subscribe({ id: 7, titulo: "Soldadura" }, "a@c.us");
+  const notices = waitlist.pendingNotices([abierto(7, "Soldadura")]);
+  assert.deepStrictEqual(notices.map((n) => [n.curso.id, n.subscriber.chatId]), [[7, "a@c.us"]]);
+});
+
+test("avisa por otra comisión solo si el título es el mismo", (t) => {
+  const waitlist = tmpWaitlist(t);
+  waitlist.subscribe({ id: 7, titulo: "Soldadura Básica" }, "a@c.us");
+  const notices = waitlist.pendingNotices([abierto(12, "Soldadura  básica")]);
+  assert.deepStrictEqual(notices.map((n) => n.curso.id), [12]);
+});
+
+test("no avisa por un curso distinto cuyo título contiene al suscripto", (t) => {
+  const waitlist = tmpWaitlist(t);
+  waitlist.subscribe({ id: 1, titulo: "Barbería" }, "a@c.us");
+  waitlist.subscribe({ id: 2, titulo: "Soldadura" }, "b@c.us");
+  waitlist.subscribe({ id: 3, titulo: "Peluquería y Barbería Básica" }, "c@c.us");
+  const notices = waitlist.pendingNotices([
+    abierto(10, "Peluquería y Barbería Básica"),
+    abierto(11, "Soldadura Artística (Parte II)"),
+    abierto(12, "Barbería Básica")
+  ]);
+  assert.deepStrictEqual(notices.map((n) => [n.subscriber.chatId, n.curso.id]), [["c@c.us", 10]]);
+});